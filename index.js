@@ -5,6 +5,7 @@ import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
 import fs from "fs";
 import { randomUUID } from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
 
 dotenv.config();
 
@@ -62,6 +63,7 @@ dotenv.config();
  * - Applied automatically in GET /users/:id endpoint (line 1990)
  * - Applied in all feed endpoints when includeUser=true
  * - Applied in search endpoints (newest users, top models)
+ * - Values of these fields are also redacted from log output (see Structured Logging)
  *
  * WHEN TO SHOW ALL FIELDS:
  * - When username === authenticatedUsername (viewing own profile)
@@ -81,13 +83,199 @@ dotenv.config();
  * ==================================================================================
  */
 
+// ===== Structured Logging =====
+// Every log line is one JSON object: { time, level, subsystem, request_id, msg, ...fields }.
+// LOG_LEVEL sets the default verbosity and LOG_LEVELS overrides it per subsystem,
+// e.g. LOG_LEVELS=redis-proxy=debug,cache=warn. LOG_FORMAT=pretty prints readable lines instead.
+const LOG_LEVEL_ORDER = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+function parseLogLevel(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return LOG_LEVEL_ORDER[level] !== undefined ? level : fallback;
+}
+
+const LOG_LEVEL = parseLogLevel(process.env.LOG_LEVEL, 'info');
+const LOG_SUBSYSTEM_LEVELS = Object.fromEntries(
+  (process.env.LOG_LEVELS || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([subsystem, level]) => subsystem && parseLogLevel(level, null))
+    .map(([subsystem, level]) => [subsystem, parseLogLevel(level, null)])
+);
+const LOG_PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+// Per-request context for everything running inside one HTTP request (see requestContextMiddleware).
+// Holds the request ID for log lines and counts Redis commands for metrics, regardless of which
+// requestId a tracked Redis client was created with.
+const requestContext = new AsyncLocalStorage();
+
+// Credentials and tokens that must never be written to logs, on top of SENSITIVE_USER_FIELDS
+const LOG_SECRET_FIELDS = [
+  'authorization',
+  'x-authorization',
+  'x-api-key',
+  'cookie',
+  'set-cookie',
+  'token',
+  'access_token',
+  'refresh_token',
+  'jwt',
+  'api_key',
+  'apikey',
+  'secret'
+];
+
+const LOG_TOKEN_PATTERNS = [
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, 'Bearer [REDACTED]'],
+  [/\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[REDACTED_JWT]']
+];
+
+const LOG_MAX_DEPTH = 6;
+
+// Built on first use because SENSITIVE_USER_FIELDS is declared further down
+let redactedLogFields = null;
+
+function isRedactedLogField(name) {
+  if (typeof name !== 'string') return false;
+  if (!redactedLogFields) {
+    redactedLogFields = new Set([...LOG_SECRET_FIELDS, ...SENSITIVE_USER_FIELDS]);
+  }
+  return redactedLogFields.has(name.toLowerCase());
+}
+
+function redactLogString(value) {
+  let redacted = value;
+  for (const [pattern, replacement] of LOG_TOKEN_PATTERNS) {
+    redacted = redacted.replace(pattern, replacement);
+  }
+  if (process.env.XANO_API_KEY) {
+    redacted = redacted.split(process.env.XANO_API_KEY).join('[REDACTED]');
+  }
+  return redacted;
+}
+
+// ===== Helper: Redact a value before it is logged =====
+// Object values are redacted by key; strings are scrubbed of bearer tokens, JWTs and the API key.
+function redactLogValue(value, depth = 0) {
+  if (typeof value === 'string') return redactLogString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= LOG_MAX_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    const serialized = { name: value.name, message: redactLogString(String(value.message)) };
+    if (value.code !== undefined) serialized.code = value.code;
+    if (value.stack) serialized.stack = redactLogString(value.stack);
+    return serialized;
+  }
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Date) return value.toISOString();
+
+  if (Array.isArray(value)) return value.map(item => redactLogValue(item, depth + 1));
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = isRedactedLogField(key) ? '[REDACTED]' : redactLogValue(item, depth + 1);
+  }
+  return redacted;
+}
+
+function formatPrettyLogEntry({ time, level, subsystem, request_id, msg, ...fields }) {
+  const prefix = `${time} ${level.toUpperCase().padEnd(5)} [${subsystem}]${request_id ? ` (${request_id})` : ''}`;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${prefix} ${msg}${extra}\n`;
+}
+
+// ===== Helper: Create a logger for one subsystem =====
+// Usage: log.info("Message", { field: value }) or log.error("Message", err).
+// request_id is taken from the current request context unless passed as a field.
+function createLogger(subsystem) {
+  const threshold = LOG_LEVEL_ORDER[LOG_SUBSYSTEM_LEVELS[subsystem] || LOG_LEVEL];
+
+  function write(level, msg, fields) {
+    if (LOG_LEVEL_ORDER[level] < threshold) return;
+
+    const isFieldObject = fields && typeof fields === 'object' && !(fields instanceof Error);
+    const { request_id: requestId, ...rest } = isFieldObject ? fields : (fields === undefined ? {} : { err: fields });
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      subsystem,
+      request_id: requestId || requestContext.getStore()?.requestId,
+      msg: redactLogString(String(msg))
+    };
+    if (!entry.request_id) delete entry.request_id;
+    for (const [key, value] of Object.entries(redactLogValue(rest))) {
+      if (!(key in entry)) entry[key] = value;
+    }
+
+    const stream = LOG_LEVEL_ORDER[level] >= LOG_LEVEL_ORDER.warn ? process.stderr : process.stdout;
+    stream.write(LOG_PRETTY ? formatPrettyLogEntry(entry) : `${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    isEnabled: level => LOG_LEVEL_ORDER[level] >= threshold
+  };
+}
+
+const appLog = createLogger('app');
+const httpLog = createLogger('http');
+const authLog = createLogger('auth');
+const redisLog = createLogger('redis');
+const redisProxyLog = createLogger('redis-proxy');
+const cacheLog = createLogger('cache');
+const feedLog = createLogger('feed');
+const pubsubLog = createLogger('pubsub');
+const streamLog = createLogger('stream');
+const searchLog = createLogger('search');
+const rateLimitLog = createLogger('ratelimit');
+const jobsLog = createLogger('jobs');
+
+// ===== Middleware: Request ID and request context =====
+// A caller-supplied X-Request-Id is reused (so logs can be correlated across services) when it
+// looks like an ID; otherwise one is generated. Either way it is returned in the X-Request-Id header.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function requestContextMiddleware(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  const context = { requestId, redisCommands: 0, redisPipelines: 0, start: process.hrtime.bigint() };
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // 'close' fires for completed and aborted requests alike (including SSE disconnects)
+  res.on('close', () => {
+    httpLog.info('Request completed', {
+      request_id: requestId,
+      method: req.method,
+      path: req.path,
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - context.start) / 1e5) / 10,
+      redis_commands: context.redisCommands,
+      redis_pipelines: context.redisPipelines,
+      user: req.user?.username
+    });
+  });
+
+  requestContext.run(context, next);
+}
+
 const app = express();
-app.use(cors());
+app.use(requestContextMiddleware);
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
 app.options("*", cors()); // Preflight support for all routes
 app.use(express.json());
 
 // ===== Redis connection with TLS support =====
-function createRedisConnection() {
+// Connection errors go through redisLog; without an 'error' listener ioredis prints them itself,
+// bypassing the log format and redaction.
+function createRedisConnection(name) {
   const redisUrl = process.env.REDIS_URL;
   const useTLS = process.env.USE_REDIS_TLS === 'true';
 
@@ -102,19 +290,19 @@ function createRedisConnection() {
     // Load CA certificate if provided (optional for Redis Cloud managed certs)
     if (process.env.REDIS_TLS_CA_CERT && fs.existsSync(process.env.REDIS_TLS_CA_CERT)) {
       tlsConfig.ca = fs.readFileSync(process.env.REDIS_TLS_CA_CERT);
-      console.log('✓ Loaded Redis TLS CA certificate');
+      redisLog.info('Loaded Redis TLS CA certificate');
     }
 
     // Load client certificate if provided (for mutual TLS)
     if (process.env.REDIS_TLS_CLIENT_CERT && fs.existsSync(process.env.REDIS_TLS_CLIENT_CERT)) {
       tlsConfig.cert = fs.readFileSync(process.env.REDIS_TLS_CLIENT_CERT);
-      console.log('✓ Loaded Redis TLS client certificate');
+      redisLog.info('Loaded Redis TLS client certificate');
     }
 
     // Load client key if provided (for mutual TLS)
     if (process.env.REDIS_TLS_CLIENT_KEY && fs.existsSync(process.env.REDIS_TLS_CLIENT_KEY)) {
       tlsConfig.key = fs.readFileSync(process.env.REDIS_TLS_CLIENT_KEY);
-      console.log('✓ Loaded Redis TLS client key');
+      redisLog.info('Loaded Redis TLS client key');
     }
 
     // Enable TLS with client certificates (for Redis Cloud client auth)
@@ -126,23 +314,27 @@ function createRedisConnection() {
         // Client certificates are provided above for client authentication
         rejectUnauthorized: true
       };
-      console.log('✓ Redis TLS enabled with client certificates');
+      redisLog.info('Redis TLS enabled with client certificates');
     } else {
-      console.warn('⚠ USE_REDIS_TLS=true but no certificate files found. Connecting without client certificates.');
+      redisLog.warn('USE_REDIS_TLS=true but no certificate files found. Connecting without client certificates.');
     }
   }
 
-  return new Redis(redisUrl, options);
+  const connection = new Redis(redisUrl, options);
+  connection.on('error', err => redisLog.error("Redis connection error", { connection: name, err }));
+  return connection;
 }
 
-const redis = createRedisConnection();
+const redis = createRedisConnection('main');
 
 // ===== Environment validation =====
 if (!process.env.XANO_API_KEY) {
-  console.warn('WARNING: XANO_API_KEY is not set. API key authentication will not work.');
+  appLog.warn('XANO_API_KEY is not set. API key authentication will not work.');
 }
 
 // ===== Redis Request Counter =====
+// HTTP requests are counted in the request context (see requestContextMiddleware); per-ID
+// counters are only initialized by the background jobs, which run outside any request.
 const requestCounters = new Map();
 
 function getRequestId() {
@@ -162,6 +354,15 @@ function incrementRedisCounter(requestId, type = 'command') {
       counter.commands++;
     }
   }
+
+  const context = requestContext.getStore();
+  if (context) {
+    if (type === 'pipeline') {
+      context.redisPipelines++;
+    } else {
+      context.redisCommands++;
+    }
+  }
 }
 
 function getRedisCounter(requestId) {
@@ -175,16 +376,30 @@ function cleanupRedisCounter(requestId) {
 // Wrap Redis commands to count them
 const originalRedis = {
   zrevrange: redis.zrevrange.bind(redis),
+  zrange: redis.zrange.bind(redis),
   smembers: redis.smembers.bind(redis),
+  sscan: redis.sscan.bind(redis),
+  zscan: redis.zscan.bind(redis),
+  zscore: redis.zscore.bind(redis),
+  zrevrangebyscore: redis.zrevrangebyscore.bind(redis),
+  sinter: redis.sinter.bind(redis),
+  zrangebyscore: redis.zrangebyscore.bind(redis),
+  scan: redis.scan.bind(redis),
   sismember: redis.sismember.bind(redis),
+  sadd: redis.sadd.bind(redis),
+  srem: redis.srem.bind(redis),
   exists: redis.exists.bind(redis),
   zunionstore: redis.zunionstore.bind(redis),
   expire: redis.expire.bind(redis),
   hgetall: redis.hgetall.bind(redis),
   hget: redis.hget.bind(redis),
   hset: redis.hset.bind(redis),
+  hsetnx: redis.hsetnx.bind(redis),
   hdel: redis.hdel.bind(redis),
   hincrby: redis.hincrby.bind(redis),
+  lrange: redis.lrange.bind(redis),
+  zrangebylex: redis.zrangebylex.bind(redis),
+  call: redis.call.bind(redis),
   pipeline: redis.pipeline.bind(redis)
 };
 
@@ -198,16 +413,30 @@ function wrapRedisCommand(commandName, originalFn, requestId) {
 function createTrackedRedis(requestId) {
   return {
     zrevrange: wrapRedisCommand('zrevrange', originalRedis.zrevrange, requestId),
+    zrange: wrapRedisCommand('zrange', originalRedis.zrange, requestId),
     smembers: wrapRedisCommand('smembers', originalRedis.smembers, requestId),
+    sscan: wrapRedisCommand('sscan', originalRedis.sscan, requestId),
+    zscan: wrapRedisCommand('zscan', originalRedis.zscan, requestId),
+    zscore: wrapRedisCommand('zscore', originalRedis.zscore, requestId),
+    zrevrangebyscore: wrapRedisCommand('zrevrangebyscore', originalRedis.zrevrangebyscore, requestId),
+    sinter: wrapRedisCommand('sinter', originalRedis.sinter, requestId),
+    zrangebyscore: wrapRedisCommand('zrangebyscore', originalRedis.zrangebyscore, requestId),
+    scan: wrapRedisCommand('scan', originalRedis.scan, requestId),
     sismember: wrapRedisCommand('sismember', originalRedis.sismember, requestId),
+    sadd: wrapRedisCommand('sadd', originalRedis.sadd, requestId),
+    srem: wrapRedisCommand('srem', originalRedis.srem, requestId),
     exists: wrapRedisCommand('exists', originalRedis.exists, requestId),
     zunionstore: wrapRedisCommand('zunionstore', originalRedis.zunionstore, requestId),
     expire: wrapRedisCommand('expire', originalRedis.expire, requestId),
     hgetall: wrapRedisCommand('hgetall', originalRedis.hgetall, requestId),
     hget: wrapRedisCommand('hget', originalRedis.hget, requestId),
     hset: wrapRedisCommand('hset', originalRedis.hset, requestId),
+    hsetnx: wrapRedisCommand('hsetnx', originalRedis.hsetnx, requestId),
     hdel: wrapRedisCommand('hdel', originalRedis.hdel, requestId),
     hincrby: wrapRedisCommand('hincrby', originalRedis.hincrby, requestId),
+    lrange: wrapRedisCommand('lrange', originalRedis.lrange, requestId),
+    zrangebylex: wrapRedisCommand('zrangebylex', originalRedis.zrangebylex, requestId),
+    call: wrapRedisCommand('call', originalRedis.call, requestId),
     pipeline: function() {
       const pipeline = originalRedis.pipeline();
       const originalExec = pipeline.exec.bind(pipeline);
@@ -221,59 +450,280 @@ function createTrackedRedis(requestId) {
 }
 
 // ===== In-Memory Cache =====
-const cache = {};
-const userCache = {}; // Separate aggressive cache for user data
-const postCache = {}; // Global aggressive cache for post data
+// Three size-bounded LRU caches (see createLruCache). Limits come from env:
+//   cache     - response cache (feeds, profiles, search results, settings)
+//   userCache - user hashes
+//   postCache - post hashes
+const CACHE_LIMITS = {
+  cache: {
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '5000'),
+    maxBytes: parseInt(process.env.CACHE_MAX_MB || '64') * 1024 * 1024
+  },
+  userCache: {
+    maxEntries: parseInt(process.env.USER_CACHE_MAX_ENTRIES || '10000'),
+    maxBytes: parseInt(process.env.USER_CACHE_MAX_MB || '16') * 1024 * 1024
+  },
+  postCache: {
+    maxEntries: parseInt(process.env.POST_CACHE_MAX_ENTRIES || '20000'),
+    maxBytes: parseInt(process.env.POST_CACHE_MAX_MB || '32') * 1024 * 1024
+  }
+};
 
-function getCached(key) {
-  const entry = cache[key];
-  if (!entry) return null;
-  if (Date.now() > entry.expires) {
-    delete cache[key];
-    return null;
+// ===== Helper: Create a size-bounded LRU cache with TTLs =====
+// A Map keeps entries in recency order: reads move an entry to the end, and the least recently
+// used entries at the front are evicted once maxEntries or maxBytes is exceeded. Entry size is
+// estimated from the JSON encoding. Expired entries are dropped when read or evicted.
+// With indexPrefixes, every key is indexed under each of its "_"-terminated prefixes
+// (e.g. user_profile_alice_bob -> user_, user_profile_, user_profile_alice_), so deletePrefix
+// does not scan the whole cache.
+function createLruCache(name, { maxEntries, maxBytes, indexPrefixes = false }) {
+  const entries = new Map();
+  const prefixIndex = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0 };
+  let bytes = 0;
+
+  function keyPrefixes(key) {
+    const prefixes = [];
+    let i = key.indexOf('_');
+    while (i !== -1) {
+      prefixes.push(key.slice(0, i + 1));
+      i = key.indexOf('_', i + 1);
+    }
+    return prefixes;
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+
+    entries.delete(key);
+    bytes -= entry.bytes;
+
+    if (indexPrefixes) {
+      for (const prefix of keyPrefixes(key)) {
+        const keys = prefixIndex.get(prefix);
+        if (!keys) continue;
+        keys.delete(key);
+        if (keys.size === 0) prefixIndex.delete(prefix);
+      }
+    }
+    return true;
   }
-  return entry.data;
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        stats.misses++;
+        return null;
+      }
+      if (Date.now() > entry.expires) {
+        remove(key);
+        stats.expirations++;
+        stats.misses++;
+        return null;
+      }
+
+      // Mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      stats.hits++;
+      return entry.data;
+    },
+
+    set(key, data, ttlSeconds) {
+      remove(key);
+
+      const size = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(data) || '');
+      // An entry larger than the whole cache would evict everything else
+      if (size > maxBytes) return;
+
+      entries.set(key, { data, expires: Date.now() + ttlSeconds * 1000, bytes: size });
+      bytes += size;
+
+      if (indexPrefixes) {
+        for (const prefix of keyPrefixes(key)) {
+          if (!prefixIndex.has(prefix)) prefixIndex.set(prefix, new Set());
+          prefixIndex.get(prefix).add(key);
+        }
+      }
+
+      while (entries.size > maxEntries || bytes > maxBytes) {
+        remove(entries.keys().next().value);
+        stats.evictions++;
+      }
+    },
+
+    delete(key) {
+      if (remove(key)) stats.invalidations++;
+    },
+
+    deletePrefix(prefix) {
+      const keys = indexPrefixes && prefix.endsWith('_')
+        ? [...(prefixIndex.get(prefix) || [])]
+        : [...entries.keys()].filter(key => key.startsWith(prefix));
+      for (const key of keys) {
+        if (remove(key)) stats.invalidations++;
+      }
+    },
+
+    clear() {
+      stats.invalidations += entries.size;
+      entries.clear();
+      prefixIndex.clear();
+      bytes = 0;
+    },
+
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        name,
+        entries: entries.size,
+        bytes,
+        max_entries: maxEntries,
+        max_bytes: maxBytes,
+        ...stats,
+        hit_ratio: lookups > 0 ? stats.hits / lookups : null
+      };
+    }
+  };
+}
+
+const cache = createLruCache('cache', { ...CACHE_LIMITS.cache, indexPrefixes: true });
+const userCache = createLruCache('userCache', CACHE_LIMITS.userCache); // Separate aggressive cache for user data
+const postCache = createLruCache('postCache', CACHE_LIMITS.postCache); // Global aggressive cache for post data
+
+function getCached(key) {
+  return cache.get(key);
 }
 
 function setCache(key, data, ttlSeconds = 30) {
-  cache[key] = {
-    data,
-    expires: Date.now() + ttlSeconds * 1000
-  };
+  cache.set(key, data, ttlSeconds);
 }
 
 function getUserCached(userId) {
-  const entry = userCache[userId];
-  if (!entry) return null;
-  if (Date.now() > entry.expires) {
-    delete userCache[userId];
-    return null;
-  }
-  return entry.data;
+  return userCache.get(userId);
 }
 
 function setUserCache(userId, data, ttlSeconds = 300) { // 5 minutes default for users
-  userCache[userId] = {
-    data,
-    expires: Date.now() + ttlSeconds * 1000
-  };
+  userCache.set(userId, data, ttlSeconds);
 }
 
 function getPostCached(postId) {
-  const entry = postCache[postId];
-  if (!entry) return null;
-  if (Date.now() > entry.expires) {
-    delete postCache[postId];
-    return null;
-  }
-  return entry.data;
+  return postCache.get(postId);
 }
 
 function setPostCache(postId, data, ttlSeconds = 600) { // 10 minutes default for posts
-  postCache[postId] = {
-    data,
-    expires: Date.now() + ttlSeconds * 1000
-  };
+  postCache.set(postId, data, ttlSeconds);
+}
+
+// ===== Redis Pub/Sub =====
+// A subscribed ioredis connection cannot run other commands, so every channel shares one
+// dedicated subscriber connection. Handlers receive the parsed JSON payload.
+const channelHandlers = new Map();
+let subscriber = null;
+
+function getSubscriber() {
+  if (!subscriber) {
+    subscriber = createRedisConnection('subscriber');
+    trackRedisConnection('subscriber', subscriber);
+    subscriber.on('message', (channel, message) => {
+      const handler = channelHandlers.get(channel);
+      if (!handler) return;
+
+      let payload;
+      try {
+        payload = JSON.parse(message);
+      } catch (e) {
+        return;
+      }
+      Promise.resolve(handler(payload)).catch(err => pubsubLog.error("Channel handler failed", { channel, err }));
+    });
+  }
+  return subscriber;
+}
+
+function subscribeToChannel(channel, handler) {
+  channelHandlers.set(channel, handler);
+  getSubscriber().subscribe(channel)
+    .then(() => pubsubLog.info("Subscribed to channel", { channel }))
+    .catch(err => pubsubLog.error("Failed to subscribe to channel", { channel, err }));
+}
+
+// ===== Cross-Instance Cache Invalidation =====
+// cache, userCache and postCache are local to each process. Every invalidation is applied
+// locally and broadcast on CACHE_INVALIDATION_CHANNEL so other instances evict the same entries.
+// An invalidation is { keys, prefixes, users, posts }:
+//   keys/prefixes - entries of `cache` (exact keys / key prefixes)
+//   users         - usernames in `userCache`
+//   posts         - post IDs in `postCache`
+// TTLs still bound staleness if a message is lost; after a subscriber reconnect (when messages
+// may have been missed) the local caches are flushed.
+const INSTANCE_ID = randomUUID();
+const CACHE_INVALIDATION_CHANNEL = 'cache:invalidate';
+const CACHE_INVALIDATION_FIELDS = ['keys', 'prefixes', 'users', 'posts'];
+let pendingInvalidation = null;
+
+function applyCacheInvalidation(invalidation) {
+  for (const key of invalidation.keys || []) {
+    cache.delete(key);
+  }
+  for (const prefix of invalidation.prefixes || []) {
+    cache.deletePrefix(prefix);
+  }
+  for (const username of invalidation.users || []) {
+    userCache.delete(username);
+  }
+  for (const postId of invalidation.posts || []) {
+    postCache.delete(postId);
+  }
+}
+
+// ===== Helper: Invalidate cache entries on every instance =====
+// Applied locally right away; invalidations made in the same tick are broadcast as one message
+function invalidateCache(invalidation) {
+  applyCacheInvalidation(invalidation);
+
+  if (!pendingInvalidation) {
+    pendingInvalidation = { keys: [], prefixes: [], users: [], posts: [] };
+    setImmediate(flushCacheInvalidation);
+  }
+  for (const field of CACHE_INVALIDATION_FIELDS) {
+    if (invalidation[field]) pendingInvalidation[field].push(...invalidation[field]);
+  }
+}
+
+function flushCacheInvalidation() {
+  const message = { origin: INSTANCE_ID };
+  for (const field of CACHE_INVALIDATION_FIELDS) {
+    message[field] = [...new Set(pendingInvalidation[field])];
+  }
+  pendingInvalidation = null;
+
+  redis.publish(CACHE_INVALIDATION_CHANNEL, JSON.stringify(message))
+    .catch(err => cacheLog.error("Failed to broadcast invalidation", err));
+}
+
+function clearLocalCaches() {
+  cache.clear();
+  userCache.clear();
+  postCache.clear();
+}
+
+function startCacheInvalidationSubscriber() {
+  subscribeToChannel(CACHE_INVALIDATION_CHANNEL, (invalidation) => {
+    if (invalidation.origin === INSTANCE_ID) return;
+    applyCacheInvalidation(invalidation);
+  });
+
+  let connectedBefore = false;
+  getSubscriber().on('ready', () => {
+    if (connectedBefore) {
+      cacheLog.warn("Subscriber reconnected; flushing local caches in case invalidations were missed");
+      clearLocalCaches();
+    }
+    connectedBefore = true;
+  });
 }
 
 // ===== User Data Sanitization =====
@@ -300,7 +750,8 @@ const SENSITIVE_USER_FIELDS = [
   'language',
   'email_notifications',
   'allowed_last_online',
-  'allowed_mark_read'
+  'allowed_mark_read',
+  'notifications_read_at'
   // ADD YOUR CUSTOM SENSITIVE FIELDS HERE
   // Examples: 'tax_id', 'passport_number', 'driver_license', 'medical_info'
   // Any field added here will be automatically filtered from other users' views
@@ -324,6 +775,379 @@ function sanitizeUserData(userData, username, authenticatedUsername) {
   return sanitized;
 }
 
+// ===== Username Validation =====
+// Usernames are the immutable primary key (see header comment), so they are validated on creation.
+// 'me' is the self placeholder in routes and 'xano_sync' is the API key pseudo-user.
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,30}$/;
+const RESERVED_USERNAMES = ['me', 'xano_sync'];
+
+// ===== Helper: Verify the JWT on a request =====
+// Shared by the auth middleware and the public routes so both accept exactly the same tokens.
+// Returns { user } for a valid token, otherwise { user: null, error } with the 401 message.
+const VALID_TOKEN_ROLES = ['admin', 'user', 'model'];
+
+function verifyRequestToken(req) {
+  const authHeader =
+    req.headers.authorization ||
+    req.headers["x-authorization"] ||
+    req.headers["x-access-token"];
+
+  if (!authHeader) return { user: null, error: "Missing token" };
+
+  const parts = String(authHeader).split(" ");
+  const token =
+    parts.length === 2 && parts[0].toLowerCase() === "bearer"
+      ? parts[1]
+      : String(authHeader);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (e) {
+    return { user: null, error: "Invalid token" };
+  }
+
+  // Validate username field (required for username-based user keys)
+  if (!decoded.username) {
+    return { user: null, error: "Missing username in token" };
+  }
+
+  // Validate role field
+  if (!decoded.role || !VALID_TOKEN_ROLES.includes(decoded.role)) {
+    return { user: null, error: "Invalid or missing role in token" };
+  }
+
+  return { user: { ...decoded, isApiKey: false }, error: null };
+}
+
+// ===== Helper: Resolve the viewer on public routes =====
+// Public routes are registered before the auth middleware. A valid JWT is only used for
+// personalization (hiding blocked/muted authors); a missing or invalid token means anonymous.
+function getOptionalUsername(req) {
+  const { user } = verifyRequestToken(req);
+  return user ? user.username : null;
+}
+
+// ===== Metrics =====
+// Prometheus metrics kept in process memory and rendered in the text exposition format by
+// GET /metrics. Each instance reports its own numbers; Prometheus aggregates across instances.
+// Request metrics are labelled by the matched Express route pattern (e.g. /posts/:id/like), so
+// label cardinality stays bounded. Requests that never reach a route (auth failures, rate limits,
+// unknown paths) are labelled route="unmatched".
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+// Metrics are only served without credentials when explicitly made public
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true';
+const METRICS_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRICS_REDIS_BUCKETS = [0, 1, 2, 5, 10, 25, 50, 100, 250, 500];
+
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// ===== Helper: Create a counter or histogram =====
+function createMetric(name, help, type, buckets = null) {
+  const series = new Map();
+
+  function getSeries(labels) {
+    const seriesKey = JSON.stringify(labels);
+    if (!series.has(seriesKey)) {
+      series.set(seriesKey, type === 'histogram'
+        ? { labels, bucketCounts: buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 });
+    }
+    return series.get(seriesKey);
+  }
+
+  return {
+    inc(labels, value = 1) {
+      getSeries(labels).value += value;
+    },
+
+    observe(labels, value) {
+      const entry = getSeries(labels);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.bucketCounts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const entry of series.values()) {
+        if (type !== 'histogram') {
+          lines.push(`${name}${formatMetricLabels(entry.labels)} ${entry.value}`);
+          continue;
+        }
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: bound })} ${entry.bucketCounts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatMetricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatMetricLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatMetricLabels(entry.labels)} ${entry.count}`);
+      }
+      return lines.join('\n');
+    }
+  };
+}
+
+// Values read from elsewhere at scrape time; samples is a list of { labels, value }
+function renderSamples(name, help, type, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { labels, value } of samples) {
+    lines.push(`${name}${formatMetricLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+}
+
+const metrics = {
+  httpRequests: createMetric('http_requests_total', 'HTTP requests by route, method and status code', 'counter'),
+  httpDuration: createMetric('http_request_duration_seconds', 'HTTP request latency in seconds', 'histogram', METRICS_DURATION_BUCKETS),
+  redisCommands: createMetric('http_request_redis_commands', 'Tracked Redis commands issued per HTTP request', 'histogram', METRICS_REDIS_BUCKETS),
+  redisPipelines: createMetric('http_request_redis_pipelines', 'Tracked Redis pipelines executed per HTTP request', 'histogram', METRICS_REDIS_BUCKETS),
+  redisReconnects: createMetric('redis_reconnects_total', 'Redis reconnection attempts by connection', 'counter')
+};
+
+// ===== Helper: Count reconnects of a Redis connection =====
+function trackRedisConnection(name, connection) {
+  connection.on('reconnecting', () => metrics.redisReconnects.inc({ connection: name }));
+}
+
+trackRedisConnection('main', redis);
+
+// ===== Middleware: Request metrics =====
+// Redis counts come from the request context set up by requestContextMiddleware.
+function metricsMiddleware(req, res, next) {
+  const context = requestContext.getStore();
+
+  res.on('close', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const labels = { method: req.method, route };
+    metrics.httpRequests.inc({ ...labels, status: String(res.statusCode) });
+    metrics.httpDuration.observe(labels, Number(process.hrtime.bigint() - context.start) / 1e9);
+    metrics.redisCommands.observe(labels, context.redisCommands);
+    metrics.redisPipelines.observe(labels, context.redisPipelines);
+  });
+
+  next();
+}
+
+app.use(metricsMiddleware);
+
+// ===== Helper: Check access to GET /metrics =====
+// Fails closed: the METRICS_TOKEN bearer token, the API key or an admin JWT is required
+// unless METRICS_PUBLIC=true.
+function isMetricsRequestAuthorized(req) {
+  if (METRICS_PUBLIC) return true;
+  if (METRICS_TOKEN && req.headers.authorization === `Bearer ${METRICS_TOKEN}`) return true;
+  if (authenticateApiKey(req)) return true;
+  return verifyRequestToken(req).user?.role === 'admin';
+}
+
+// ===== GET /metrics: Prometheus metrics (METRICS_TOKEN, API key or admin JWT) =====
+// Registered before the auth middleware, so it mounts the rate limiter itself
+app.get("/metrics", rateLimitMiddleware, async (req, res) => {
+  if (!isMetricsRequestAuthorized(req)) {
+    return rejectFailedAuthentication(req, res, () => res.status(401).type("text").send("Unauthorized"));
+  }
+
+  const cacheStats = [cache, userCache, postCache].map(store => store.getStats());
+  const connections = [{ name: 'main', connection: redis }];
+  if (subscriber) connections.push({ name: 'subscriber', connection: subscriber });
+  const memory = process.memoryUsage();
+
+  const sections = [
+    metrics.httpRequests.render(),
+    metrics.httpDuration.render(),
+    metrics.redisCommands.render(),
+    metrics.redisPipelines.render(),
+    renderSamples('redis_connection_up', 'Whether the Redis connection is ready (1) or not (0)', 'gauge',
+      connections.map(({ name, connection }) => ({ labels: { connection: name }, value: connection.status === 'ready' ? 1 : 0 }))),
+    metrics.redisReconnects.render(),
+    renderSamples('cache_hits_total', 'In-memory cache hits', 'counter',
+      cacheStats.map(stats => ({ labels: { cache: stats.name }, value: stats.hits }))),
+    renderSamples('cache_misses_total', 'In-memory cache misses (including expired entries)', 'counter',
+      cacheStats.map(stats => ({ labels: { cache: stats.name }, value: stats.misses }))),
+    renderSamples('cache_evictions_total', 'In-memory cache LRU evictions', 'counter',
+      cacheStats.map(stats => ({ labels: { cache: stats.name }, value: stats.evictions }))),
+    renderSamples('cache_hit_ratio', 'In-memory cache hit ratio since start (hits / lookups)', 'gauge',
+      cacheStats.map(stats => ({ labels: { cache: stats.name }, value: stats.hit_ratio ?? 0 }))),
+    renderSamples('cache_entries', 'In-memory cache entries', 'gauge',
+      cacheStats.map(stats => ({ labels: { cache: stats.name }, value: stats.entries }))),
+    renderSamples('cache_bytes', 'Estimated in-memory cache size in bytes', 'gauge',
+      cacheStats.map(stats => ({ labels: { cache: stats.name }, value: stats.bytes }))),
+    renderSamples('stream_clients', 'Open GET /stream connections', 'gauge', [{ labels: {}, value: streamClients.size }]),
+    renderSamples('process_resident_memory_bytes', 'Resident memory size in bytes', 'gauge', [{ labels: {}, value: memory.rss }]),
+    renderSamples('nodejs_heap_used_bytes', 'V8 heap used in bytes', 'gauge', [{ labels: {}, value: memory.heapUsed }]),
+    renderSamples('process_uptime_seconds', 'Process uptime in seconds', 'gauge', [{ labels: {}, value: Math.round(process.uptime()) }])
+  ];
+
+  res.type('text/plain; version=0.0.4').send(sections.join('\n\n') + '\n');
+});
+
+// ===== Rate Limiting =====
+// Sliding-window limiter stored in Redis so every instance shares the same budgets.
+// Each request is charged to exactly one policy bucket, ratelimit:<policy>:<identity>:
+//   - API key callers always use the api_key policy
+//   - Anonymous callers (public routes without a valid JWT) use the anonymous policy, per IP
+//   - JWT users use the first RATE_LIMIT_ROUTES rule matching the request, else default
+// Failed authentication (401) is also charged per IP, to ratelimit:anonymous:auth_failure:ip:<ip>;
+// valid credentials never touch that bucket.
+// Defaults below; admins override them per policy in config:ratelimit:<policy>.
+// Set RATE_LIMIT_ENABLED=false to turn limiting off. Redis errors fail open.
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_PARAMS = ['limit', 'window_sec'];
+const RATE_LIMIT_DEFAULTS = {
+  default: { limit: 300, window_sec: 60 },
+  write: { limit: 60, window_sec: 60 },
+  interaction: { limit: 60, window_sec: 60 },
+  post_create: { limit: 10, window_sec: 60 },
+  feed: { limit: 60, window_sec: 60 },
+  search: { limit: 60, window_sec: 60 },
+  anonymous: { limit: 60, window_sec: 60 },
+  api_key: { limit: 6000, window_sec: 60 }
+};
+const RATE_LIMIT_POLICIES = Object.keys(RATE_LIMIT_DEFAULTS);
+const RATE_LIMIT_ROUTES = [
+  { policy: 'interaction', methods: ['POST', 'DELETE'], pattern: /^\/posts\/[^/]+\/(like|bookmark)$/ },
+  { policy: 'post_create', methods: ['POST'], pattern: /^\/posts$/ },
+  { policy: 'feed', methods: ['GET'], pattern: /^\/feed\// },
+  { policy: 'search', methods: ['GET'], pattern: /^\/search\// },
+  { policy: 'write', methods: ['POST', 'PUT', 'PATCH', 'DELETE'], pattern: /^\// }
+];
+const RATE_LIMIT_CONFIG_CACHE_KEY = 'rate_limit_config';
+
+// Behind a load balancer, req.ip is only the client address if Express trusts the proxy hops
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Atomically drops entries older than the window, then records the request if under the limit.
+// Returns [allowed (1/0), requests in window, score of the oldest request in window]
+redis.defineCommand('slidingWindowRateLimit', {
+  numberOfKeys: 1,
+  lua: `
+    local now = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local limit = tonumber(ARGV[3])
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+    local count = redis.call('ZCARD', KEYS[1])
+    local allowed = 0
+    if count < limit then
+      redis.call('ZADD', KEYS[1], now, ARGV[4])
+      redis.call('PEXPIRE', KEYS[1], window)
+      count = count + 1
+      allowed = 1
+    end
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    return { allowed, count, tonumber(oldest[2] or now) }
+  `
+});
+
+async function getRateLimitConfig(trackedRedis) {
+  const cached = getCached(RATE_LIMIT_CONFIG_CACHE_KEY);
+  if (cached) return cached;
+
+  const pipeline = trackedRedis.pipeline();
+  for (const policy of RATE_LIMIT_POLICIES) {
+    pipeline.hgetall(`config:ratelimit:${policy}`);
+  }
+  const results = await pipeline.exec();
+
+  const config = {};
+  RATE_LIMIT_POLICIES.forEach((policy, i) => {
+    const overrides = results[i][1] || {};
+    config[policy] = { ...RATE_LIMIT_DEFAULTS[policy] };
+    for (const param of RATE_LIMIT_PARAMS) {
+      if (overrides[param] !== undefined) {
+        config[policy][param] = parseInt(overrides[param]);
+      }
+    }
+  });
+
+  // Admin changes are broadcast to other instances; the TTL bounds staleness if one is missed
+  setCache(RATE_LIMIT_CONFIG_CACHE_KEY, config, 30);
+  return config;
+}
+
+// ===== Helper: Resolve the policy and bucket identity for a request =====
+function resolveRateLimitBucket(req) {
+  if (req.user && req.user.isApiKey) {
+    return { policy: 'api_key', identity: 'apikey' };
+  }
+
+  const username = req.user ? req.user.username : getOptionalUsername(req);
+  if (!username) {
+    return { policy: 'anonymous', identity: `ip:${req.ip}` };
+  }
+
+  // baseUrl is set when the middleware is mounted on specific paths
+  const path = req.baseUrl + req.path;
+  const rule = RATE_LIMIT_ROUTES.find(route => route.methods.includes(req.method) && route.pattern.test(path));
+  return { policy: rule ? rule.policy : 'default', identity: `user:${username}` };
+}
+
+// ===== Helper: Charge a request to a rate limit bucket =====
+// Sets the X-RateLimit-* headers and sends 429 once the bucket is used up. Returns true when the
+// request may continue.
+async function applyRateLimit(req, res, policy, identity) {
+  if (!RATE_LIMIT_ENABLED) return true;
+
+  try {
+    const config = await getRateLimitConfig(createTrackedRedis(getRequestId()));
+    const { limit, window_sec } = config[policy];
+    const windowMs = window_sec * 1000;
+    const now = Date.now();
+
+    const [allowed, count, oldest] = await redis.slidingWindowRateLimit(
+      `ratelimit:${policy}:${identity}`, now, windowMs, limit, `${now}-${randomUUID()}`
+    );
+    const resetAt = oldest + windowMs;
+
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000)),
+      'X-RateLimit-Policy': policy
+    });
+
+    if (allowed !== 1) {
+      const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      rateLimitLog.warn("Rate limit exceeded", { policy, identity, method: req.method, path: req.path });
+      res.status(429).json({ error: "Too many requests", policy, retry_after: retryAfter });
+      return false;
+    }
+  } catch (err) {
+    rateLimitLog.error("Error checking rate limit", err);
+  }
+
+  return true;
+}
+
+// ===== Middleware: Rate limiting =====
+// Registered once before the public routes (they end the request before the auth middleware)
+// and once after the auth middleware for everything else.
+async function rateLimitMiddleware(req, res, next) {
+  if (req.method === "OPTIONS") return next();
+
+  const { policy, identity } = resolveRateLimitBucket(req);
+  if (await applyRateLimit(req, res, policy, identity)) next();
+}
+
+// ===== Helper: Reject a failed authentication attempt =====
+// Only failures are charged, per IP under the anonymous policy, so API key and token guessing is
+// throttled without valid callers sharing that IP paying for it. Sends 429 once the bucket is
+// used up, otherwise calls respond() to send the 401.
+async function rejectFailedAuthentication(req, res, respond) {
+  if (await applyRateLimit(req, res, 'anonymous', `auth_failure:ip:${req.ip}`)) respond();
+}
+
+app.use(["/feed/explore", "/feed/trending"], rateLimitMiddleware);
+
 // ===== Simple /ping test (no auth) =====
 app.all("/ping", (_req, res) => {
   res.send("pong");
@@ -336,104 +1160,113 @@ app.get("/healthz", (_req, res) => {
 
 // ===== Public welcome/info (no auth) =====
 app.get("/", (_req, res) => {
-  res.type("text").send("Redis Microservice online. Public: /ping, /healthz, /feed/explore. Auth routes: POST /, /whoami, /debug-auth, /feed/following.");
+  res.type("text").send("Redis Microservice online. Public: /ping, /healthz, /metrics, /feed/explore, /feed/trending. Auth routes: POST /, /whoami, /debug-auth, /feed/following.");
 });
 
 // ===== GET /feed/explore: Explore feed with pagination (PUBLIC) =====
 app.get("/feed/explore", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const offset = parseInt(req.query.offset) || 0;
-    let limit = parseInt(req.query.limit) || 20;
+    // Offset or cursor pagination (see paginateFeed)
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
     const includeUser = req.query.includeUser !== 'false'; // default true
 
-    // Validate and cap limit at 100
-    if (limit > 100) limit = 100;
+    const trackedRedis = createTrackedRedis(requestId);
 
-    const cacheKey = `explore_feed_${offset}_${limit}_${includeUser}`;
+    // Hide blocked/muted authors for a signed-in viewer
+    // Only viewers who actually hide someone get a viewer-specific cache entry
+    const viewerUsername = getOptionalUsername(req);
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, viewerUsername);
+    const cacheKey = hiddenAuthors.size > 0
+      ? `explore_feed_${page.position}_${page.limit}_${includeUser}_${viewerUsername}`
+      : `explore_feed_${page.position}_${page.limit}_${includeUser}`;
 
     // Check cache first
     const cached = getCached(cacheKey);
     if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /feed/explore] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines | includeUser: ${includeUser}`);
-      cleanupRedisCounter(requestId);
       return res.json(cached);
     }
 
-    console.log(`[CACHE MISS] ${cacheKey}`);
+    cacheLog.debug("Cache miss", { key: cacheKey });
 
-    const trackedRedis = createTrackedRedis(requestId);
+    // Fetch buffered batches of post IDs to account for missing posts/users
+    // Aggregate posts with optional user data (no authenticated user for public explore feed)
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, "explore:feed", page, postIds =>
+      aggregatePostsWithUsers(postIds, requestId, includeUser, null, hiddenAuthors)
+    );
 
-    // Fetch a buffer of post IDs to account for missing posts/users
-    const bufferMultiplier = 2;
-    const bufferSize = limit * bufferMultiplier;
-    let currentOffset = offset;
-    let posts = [];
+    feedLog.debug("Found valid posts", { feed: "explore:feed", count: posts.length });
 
-    // Continue fetching until we have enough posts or run out of items
-    while (posts.length < limit) {
-      const postIds = await trackedRedis.zrevrange(
-        "explore:feed",
-        currentOffset,
-        currentOffset + bufferSize - 1
-      );
+    const response = {
+      posts,
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
+    };
 
-      console.log(`Fetched ${postIds.length} post IDs from explore:feed at offset ${currentOffset}`);
+    // Cache the result for 30 seconds
+    setCache(cacheKey, response, 30);
 
-      // No more posts available
-      if (postIds.length === 0) break;
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching explore feed", err);
+    res.status(500).json({ error: "Failed to fetch explore feed" });
+  }
+});
 
-      // Aggregate posts with optional user data (no authenticated user for public explore feed)
-      const aggregated = await aggregatePostsWithUsers(postIds, requestId, includeUser, null);
-      posts.push(...aggregated);
+// ===== GET /feed/trending: Global engagement-ranked feed (PUBLIC) =====
+// trending:posts uses the same time-decayed score as hashtag:<tag>:ranked, across all posts from the last 2 weeks
+app.get("/feed/trending", async (req, res) => {
+  const requestId = getRequestId();
 
-      // If we've collected enough posts, trim to exact limit
-      if (posts.length >= limit) {
-        posts = posts.slice(0, limit);
-        break;
-      }
+  try {
+    // Offset or cursor pagination (see paginateFeed)
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    const includeUser = req.query.includeUser !== 'false'; // default true
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Hide blocked/muted/private authors for the viewer, same as the explore feed
+    const viewerUsername = getOptionalUsername(req);
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, viewerUsername);
+    const cacheKey = hiddenAuthors.size > 0
+      ? `trending_feed_${page.position}_${page.limit}_${includeUser}_${viewerUsername}`
+      : `trending_feed_${page.position}_${page.limit}_${includeUser}`;
 
-      // Move offset forward for next iteration
-      currentOffset += postIds.length;
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    console.log(`Found ${posts.length} valid posts in explore:feed`);
+    cacheLog.debug("Cache miss", { key: cacheKey });
+
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, "trending:posts", page, postIds =>
+      aggregatePostsWithUsers(postIds, requestId, includeUser, null, hiddenAuthors)
+    );
 
     const response = {
       posts,
-      pagination: {
-        offset,
-        limit,
-        count: posts.length
-      }
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
     };
 
     // Cache the result for 30 seconds
     setCache(cacheKey, response, 30);
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /feed/explore] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines | Total: ${counter.commands + counter.pipelines} roundtrips | includeUser: ${includeUser}`);
-    cleanupRedisCounter(requestId);
-
     res.json(response);
   } catch (err) {
-    console.error("Error fetching explore feed:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /feed/explore] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to fetch explore feed" });
+    httpLog.error("Error fetching trending feed", err);
+    res.status(500).json({ error: "Failed to fetch trending feed" });
   }
 });
 
 // ===== API KEY AUTHENTICATION HELPER =====
 // WARNING: API key grants unrestricted Redis access. Ensure it's kept secret and only used by trusted backend services (Xano).
-// Consider implementing rate limiting for API key requests in production.
+// API key requests are rate limited under their own api_key policy (see Rate Limiting).
 function authenticateApiKey(req) {
   // Check for X-API-Key header (case-insensitive)
   const apiKey = req.headers['x-api-key'] || req.headers['X-API-Key'];
@@ -448,10 +1281,13 @@ function authenticateApiKey(req) {
 // ===== DUAL AUTHENTICATION MIDDLEWARE (JWT OR API KEY) =====
 // JWT authentication: For REST endpoints (users, posts, feeds, etc.) - frontend clients
 // API key authentication: For Redis proxy endpoints (Xano sync only) - backend services
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   // Allow CORS preflight requests through without auth
   if (req.method === "OPTIONS") return next();
 
+  const rejectAuthentication = error =>
+    rejectFailedAuthentication(req, res, () => res.status(401).json({ error }));
+
   // 1. Attempt API Key Authentication First
   // API key grants access to Redis proxy endpoints for backend sync operations
   // Frontend clients use JWT for REST endpoints only
@@ -461,7 +1297,7 @@ app.use((req, res, next) => {
     // X-API-Key header is present - validate it
     if (authenticateApiKey(req)) {
       // Log successful API key authentication (without revealing key)
-      console.log(`✓ API Key authentication successful for ${req.method} ${req.path}`);
+      authLog.debug("API key authentication successful", { method: req.method, path: req.path });
 
       // Set special admin user object for API key requests
       // API KEY PRIVILEGE: Bypasses ownership checks for writes
@@ -476,51 +1312,24 @@ app.use((req, res, next) => {
       return next();
     } else {
       // X-API-Key header present but invalid - return 401 immediately
-      console.warn(`⚠ Invalid API key attempt for ${req.method} ${req.path}`);
-      return res.status(401).json({ error: "Invalid API key" });
+      authLog.warn("Invalid API key attempt", { method: req.method, path: req.path, ip: req.ip });
+      return rejectAuthentication("Invalid API key");
     }
   }
 
-  // 2. Fall Back to JWT Authentication
-  const authHeader =
-    req.headers.authorization ||
-    req.headers["x-authorization"] ||
-    req.headers["x-access-token"];
-
-  // Removed auth header logging for security
-  if (!authHeader) return res.status(401).json({ error: "Missing token" });
-
-  const parts = String(authHeader).split(" ");
-  const token =
-    parts.length === 2 && parts[0].toLowerCase() === "bearer"
-      ? parts[1]
-      : String(authHeader);
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Validate username field (required for username-based user keys)
-    if (!decoded.username) {
-      return res.status(401).json({ error: "Missing username in token" });
-    }
-
-    // Validate role field
-    const role = decoded.role;
-    const validRoles = ['admin', 'user', 'model'];
-    if (!role || !validRoles.includes(role)) {
-      return res.status(401).json({ error: "Invalid or missing role in token" });
-    }
-
-    // Assign validated role to req.user with isApiKey flag
-    req.user = decoded;
-    req.user.role = role;
-    req.user.isApiKey = false;
-    next();
-  } catch (e) {
-    return res.status(401).json({ error: "Invalid token" });
+  // 2. Fall Back to JWT Authentication (see verifyRequestToken)
+  const { user, error } = verifyRequestToken(req);
+  if (!user) {
+    return rejectAuthentication(error);
   }
+
+  req.user = user;
+  next();
 });
 
+// Rate limit authenticated requests (see Rate Limiting above)
+app.use(rateLimitMiddleware);
+
 // ===== Helper: Extract hashtags from content =====
 function extractHashtags(content) {
   if (!content) return [];
@@ -530,2501 +1339,6215 @@ function extractHashtags(content) {
   return uniqueTags;
 }
 
-// ===== Helper: Invalidate feed caches =====
-function invalidateFeedCaches() {
-  const feedPrefixes = [
-    'explore_feed_',
-    'following_feed_',
-    'hashtag_feed_',
-    'hashtag_ranked_',
-    'bookmarked_',
-    'search_users_newest_',
-    'search_hashtags_top_',
-    'search_models_top_'
-  ];
+// Maximum number of @mentions indexed per post or comment
+const MENTION_LIMIT = 20;
+// Maximum number of entries kept in user:<username>:mentions
+const MENTIONS_MAX_LENGTH = 1000;
 
-  for (const key in cache) {
-    for (const prefix of feedPrefixes) {
-      if (key.startsWith(prefix)) {
-        delete cache[key];
-        break;
-      }
-    }
-  }
+// ===== Helper: Extract @mentions from content =====
+// Same characters as usernames; an "@" inside a word (e.g. an email address) is not a mention.
+// Case is kept because usernames are case-sensitive keys.
+function extractMentions(content) {
+  if (!content) return [];
+  const matches = [...content.matchAll(/(?<![\w@])@([A-Za-z0-9_]{3,30})(?!\w)/g)];
+  return [...new Set(matches.map(match => match[1]))].slice(0, MENTION_LIMIT);
 }
 
-// ===== Helper: Aggregate posts with user data =====
-async function aggregatePostsWithUsers(postIds, requestId, includeUser = true, authenticatedUsername = null) {
-  if (postIds.length === 0) return [];
+// ===== Helper: Resolve mentions to existing users =====
+// Keeps mentions of existing users, minus the author and users blocked in either direction
+async function resolveMentions(trackedRedis, content, authorUsername) {
+  const candidates = extractMentions(content).filter(candidate => candidate !== authorUsername);
+  if (candidates.length === 0) return [];
+
+  const pipeline = trackedRedis.pipeline();
+  for (const candidate of candidates) {
+    pipeline.exists(`user:${candidate}`);
+    pipeline.sismember(`user:${authorUsername}:blocked`, candidate);
+    pipeline.sismember(`user:${candidate}:blocked`, authorUsername);
+  }
+  const results = await pipeline.exec();
 
-  console.log(`[aggregatePostsWithUsers] Processing ${postIds.length} post IDs (includeUser: ${includeUser})`);
+  return candidates.filter((_, i) =>
+    results[i * 3][1] === 1 && results[i * 3 + 1][1] !== 1 && results[i * 3 + 2][1] !== 1
+  );
+}
 
-  const trackedRedis = createTrackedRedis(requestId);
+// Mentions are stored on post/comment hashes as a comma-separated list
+function parseMentionsField(value) {
+  return value ? value.split(',').filter(Boolean) : [];
+}
 
-  // First: Check post cache and collect uncached post IDs
-  const uncachedPostIds = [];
-  const postMap = {}; // Map of postId -> postData
+// ===== Helper: Queue mention index updates =====
+// item is "post:<id>" or "comment:<id>"; each mentioned user's index is capped at MENTIONS_MAX_LENGTH
+function queueMentionIndex(multi, item, mentionedUsernames, timestamp) {
+  for (const mentionedUsername of mentionedUsernames) {
+    multi.zadd(`user:${mentionedUsername}:mentions`, timestamp, item);
+    multi.zremrangebyrank(`user:${mentionedUsername}:mentions`, 0, -(MENTIONS_MAX_LENGTH + 1));
+  }
+}
 
-  for (const postId of postIds) {
-    const cachedPost = getPostCached(postId);
-    if (cachedPost) {
-      console.log(`[aggregatePostsWithUsers] Post cache HIT for ${postId}`);
-      postMap[postId] = cachedPost;
-    } else {
-      uncachedPostIds.push(postId);
-    }
+function queueMentionRemoval(multi, item, mentionedUsernames) {
+  for (const mentionedUsername of mentionedUsernames) {
+    multi.zrem(`user:${mentionedUsername}:mentions`, item);
   }
+}
+
+// ===== Notifications =====
+// Each user has a capped list of JSON events in user:<username>:notifications (newest first).
+// Read state is a single timestamp (notifications_read_at on the user hash): anything newer is unread.
+// Users with email_notifications = "true" also get each event pushed to NOTIFICATION_EMAIL_QUEUE
+// for an external mailer to consume.
+const NOTIFICATION_TYPES = ['like', 'bookmark', 'follow', 'follow_request', 'follow_accepted', 'comment', 'reply', 'mention'];
+const NOTIFICATIONS_MAX_LENGTH = 200;
+// Boolean preferences on the user hash, editable via POST /users and PATCH /users/:id:
+//   email_notifications - also queue events for email delivery
+// Notifications are only marked read by POST /notifications/read; GET /notifications has no side effects.
+const NOTIFICATION_PREFERENCE_FIELDS = ['email_notifications'];
+const NOTIFICATION_EMAIL_QUEUE = 'queue:notifications:email';
+const NOTIFICATION_EMAIL_QUEUE_LENGTH = 10000;
+
+// Types that collapse into one entry per post ("alice and 12 others liked your post")
+const NOTIFICATION_GROUPED_BY_POST = ['like', 'bookmark'];
+// Types that collapse into one entry overall ("alice and 3 others followed you")
+const NOTIFICATION_GROUPED_BY_TYPE = ['follow', 'follow_request', 'follow_accepted'];
+
+const NOTIFICATION_MESSAGES = {
+  like: 'liked your post',
+  bookmark: 'bookmarked your post',
+  follow: 'followed you',
+  follow_request: 'requested to follow you',
+  follow_accepted: 'accepted your follow request',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  mention: 'mentioned you'
+};
 
-  console.log(`[aggregatePostsWithUsers] ${Object.keys(postMap).length} posts from cache, ${uncachedPostIds.length} posts to fetch`);
+// ===== Helper: Queue notifications =====
+// event: { type, actor, post_id?, comment_id? }. The actor never notifies themselves.
+// Returns the queued { recipient, notification } pairs so callers can publish them after exec.
+async function queueNotifications(multi, trackedRedis, recipients, event) {
+  const targets = [...new Set(recipients)].filter(recipient => recipient && recipient !== event.actor);
+  if (targets.length === 0) return [];
 
-  // Second pipeline: Fetch only uncached posts
-  if (uncachedPostIds.length > 0) {
-    const postPipeline = trackedRedis.pipeline();
-    for (const postId of uncachedPostIds) {
-      postPipeline.hgetall(`post:${postId}`);
+  const pipeline = trackedRedis.pipeline();
+  for (const recipient of targets) {
+    pipeline.hget(`user:${recipient}`, 'email_notifications');
+  }
+  const prefs = await pipeline.exec();
+
+  const createdAt = Date.now();
+  const queued = [];
+  targets.forEach((recipient, i) => {
+    const notification = {
+      id: randomUUID(),
+      type: event.type,
+      actor: event.actor,
+      post_id: event.post_id || '',
+      comment_id: event.comment_id || '',
+      created_at: createdAt
+    };
+    multi.lpush(`user:${recipient}:notifications`, JSON.stringify(notification));
+    multi.ltrim(`user:${recipient}:notifications`, 0, NOTIFICATIONS_MAX_LENGTH - 1);
+
+    if (prefs[i][1] === 'true') {
+      multi.lpush(NOTIFICATION_EMAIL_QUEUE, JSON.stringify({ recipient, ...notification }));
+      multi.ltrim(NOTIFICATION_EMAIL_QUEUE, 0, NOTIFICATION_EMAIL_QUEUE_LENGTH - 1);
     }
-    const postResults = await postPipeline.exec();
 
-    // Process fetched posts and cache them
-    for (let i = 0; i < uncachedPostIds.length; i++) {
-      const postId = uncachedPostIds[i];
-      const [err, postData] = postResults[i];
+    queued.push({ recipient, notification });
+  });
 
-      if (err || !postData || Object.keys(postData).length === 0) {
-        console.log(`[aggregatePostsWithUsers] Skipping post ${postId}: empty or error`);
-        continue;
-      }
+  return queued;
+}
 
-      // Cache the post for 10 minutes
-      setPostCache(postId, postData, 600);
-      postMap[postId] = postData;
+// ===== Helper: Group notifications =====
+// Input is newest first; groups are ordered by their most recent event
+function groupNotifications(notifications, readAt) {
+  const groups = [];
+  const groupsByKey = {};
+
+  for (const notification of notifications) {
+    let key = notification.id;
+    if (NOTIFICATION_GROUPED_BY_POST.includes(notification.type)) {
+      key = `${notification.type}:${notification.post_id}`;
+    } else if (NOTIFICATION_GROUPED_BY_TYPE.includes(notification.type)) {
+      key = notification.type;
     }
-  }
 
-  // Build posts array in original order
-  const posts = [];
-  for (const postId of postIds) {
-    const postData = postMap[postId];
-    if (postData) {
-      posts.push(postData);
-    } else {
-      posts.push(null);
+    let group = groupsByKey[key];
+    if (!group) {
+      group = {
+        id: notification.id,
+        type: notification.type,
+        actors: [],
+        post_id: notification.post_id,
+        comment_id: notification.comment_id,
+        latest_at: notification.created_at,
+        read: notification.created_at <= readAt
+      };
+      groupsByKey[key] = group;
+      groups.push(group);
     }
-  }
-
-  // Collect user_id values and build unique set, check cache first
-  const userIds = new Set();
-  const userMap = {};
-
-  for (const postData of posts) {
-    if (!postData) continue;
 
-    // Only fetch users if includeUser is true
-    if (includeUser && postData.user_id) {
-      // Check user cache first
-      const cachedUser = getUserCached(postData.user_id);
-      if (cachedUser) {
-        console.log(`[aggregatePostsWithUsers] Cache HIT for user ${postData.user_id}`);
-        userMap[postData.user_id] = cachedUser;
-      } else {
-        userIds.add(postData.user_id);
-      }
+    // Repeated actions by the same user (e.g. like, unlike, like) count once
+    if (!group.actors.includes(notification.actor)) {
+      group.actors.push(notification.actor);
     }
   }
 
-  console.log(`[aggregatePostsWithUsers] Found ${posts.filter(p => p).length} valid posts`);
+  return groups.map(({ actors, ...group }) => {
+    const others = actors.length - 1;
+    let who = actors[0];
+    if (others === 1) who = `${actors[0]} and ${actors[1]}`;
+    if (others > 1) who = `${actors[0]} and ${others} others`;
+
+    return {
+      ...group,
+      actors: actors.slice(0, 3),
+      actor_count: actors.length,
+      message: `${who} ${NOTIFICATION_MESSAGES[group.type]}`
+    };
+  });
+}
 
-  if (includeUser) {
-    console.log(`[aggregatePostsWithUsers] ${Object.keys(userMap).length} users from cache, ${userIds.size} users to fetch`);
+// ===== Real-time stream (SSE) =====
+// Write paths publish events to Redis channels; every instance subscribes and forwards them
+// to its own GET /stream connections, so a client sees events from writes on any instance.
+//   stream:posts         - new posts                  -> "post" events
+//   stream:counts        - like/comment/bookmark counts -> "counts" events
+//   stream:notifications - new notifications          -> "notification" events (recipient only)
+const STREAM_CHANNELS = {
+  posts: 'stream:posts',
+  counts: 'stream:counts',
+  notifications: 'stream:notifications'
+};
+const STREAM_HEARTBEAT_MS = 25000;
+const STREAM_MAX_CONNECTIONS_PER_USER = 5;
+const STREAM_POST_FILTER_LIMIT = 200;
+// Open streams per user across all instances live in stream:connections:<username> (INCR on
+// connect, DECR on close). The heartbeat refreshes the TTL while a user has streams open, so
+// counts held by an instance that died expire instead of locking the user out.
+const STREAM_CONNECTIONS_TTL_SECONDS = 60;
+
+// clientId -> { res, username, postFilter } for connections held by this instance
+const streamClients = new Map();
+
+function writeStreamEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-    // Second pipeline: Fetch uncached users
-    if (userIds.size > 0) {
-      const userPipeline = trackedRedis.pipeline();
-      const userIdArray = Array.from(userIds);
+// Publishing is best-effort: a failed publish never fails the write that triggered it
+function publishStreamEvent(channel, payload) {
+  redis.publish(channel, JSON.stringify(payload))
+    .catch(err => streamLog.error("Failed to publish stream event", { channel, err }));
+}
 
-      for (const userId of userIdArray) {
-        userPipeline.hgetall(`user:${userId}`);
-      }
-      const userResults = await userPipeline.exec();
+function publishNewPost(postData) {
+  publishStreamEvent(STREAM_CHANNELS.posts, {
+    id: postData.id,
+    user_id: postData.user_id,
+    username: postData.username,
+    display_name: postData.display_name,
+    avatar: postData.avatar,
+    user_role: postData.user_role,
+    content: postData.content,
+    media_url: postData.media_url,
+    created_at: postData.created_at
+  });
+}
 
-      // Build map of user_id -> userData and cache them
-      for (let i = 0; i < userIdArray.length; i++) {
-        const userId = userIdArray[i];
-        const [, userData] = userResults[i];
-        const userDataObj = userData || {};
+// Reads the counters after the write so every instance receives absolute values
+async function publishPostCounts(postId) {
+  try {
+    const [userId, likesCount, commentsCount, bookmarksCount] = await redis.hmget(`post:${postId}`, 'user_id', 'likesCount', 'commentsCount', 'bookmarksCount');
+    publishStreamEvent(STREAM_CHANNELS.counts, {
+      post_id: postId,
+      user_id: userId,
+      likesCount: parseInt(likesCount) || 0,
+      commentsCount: parseInt(commentsCount) || 0,
+      bookmarksCount: parseInt(bookmarksCount) || 0
+    });
+  } catch (err) {
+    streamLog.error("Failed to publish post counts", { post_id: postId, err });
+  }
+}
 
-        console.log(`[aggregatePostsWithUsers] Fetched user ${userId}:`, Object.keys(userDataObj).length > 0 ? Object.keys(userDataObj) : 'EMPTY');
+// queued is the return value of queueNotifications()
+function publishNotifications(queued) {
+  for (const { recipient, notification } of queued) {
+    publishStreamEvent(STREAM_CHANNELS.notifications, { recipient, notification });
+  }
+}
 
-        userMap[userId] = userDataObj;
-        // Cache user data for 5 minutes (cache unsanitized data)
-        setUserCache(userId, userDataObj, 300);
-      }
+// ===== Helper: Forward a published event to this instance's stream clients =====
+async function dispatchStreamEvent(channel, payload) {
+  if (streamClients.size === 0) return;
+  const trackedRedis = createTrackedRedis(getRequestId());
+
+  if (channel === STREAM_CHANNELS.posts) {
+    for (const client of streamClients.values()) {
+      // Same visibility as the feeds: blocked, muted and unfollowed private authors are skipped
+      const hiddenAuthors = await getHiddenAuthors(trackedRedis, client.username);
+      if (hiddenAuthors.has(payload.user_id)) continue;
+      writeStreamEvent(client.res, 'post', payload);
+    }
+  } else if (channel === STREAM_CHANNELS.counts) {
+    // user_id is only used for the visibility check; clients get the counters alone
+    const { user_id: authorUsername, ...counts } = payload;
+    for (const client of streamClients.values()) {
+      if (client.postFilter && !client.postFilter.has(payload.post_id)) continue;
+      const hiddenAuthors = await getHiddenAuthors(trackedRedis, client.username);
+      if (hiddenAuthors.has(authorUsername)) continue;
+      writeStreamEvent(client.res, 'counts', counts);
+    }
+  } else if (channel === STREAM_CHANNELS.notifications) {
+    const recipients = [...streamClients.values()].filter(client => client.username === payload.recipient);
+    if (recipients.length === 0) return;
+
+    // GET /notifications hides blocked and muted actors; the stream does the same
+    const pipeline = trackedRedis.pipeline();
+    pipeline.sismember(`user:${payload.recipient}:muted`, payload.notification.actor);
+    pipeline.sismember(`user:${payload.recipient}:blocked`, payload.notification.actor);
+    const [[, muted], [, blocked]] = await pipeline.exec();
+    if (muted === 1 || blocked === 1) return;
+
+    const [group] = groupNotifications([payload.notification], 0);
+    for (const client of recipients) {
+      writeStreamEvent(client.res, 'notification', group);
     }
   }
+}
 
-  // Check interaction status (liked/bookmarked) if user is authenticated
-  const interactionMap = {}; // Map of postId -> { isLiked, isBookmarked }
+// ===== Helper: Subscribe to stream channels and start the heartbeat =====
+function startStreamSubscriber() {
+  for (const channel of Object.values(STREAM_CHANNELS)) {
+    subscribeToChannel(channel, payload => dispatchStreamEvent(channel, payload));
+  }
 
-  if (authenticatedUsername) {
-    const validPostIds = posts.filter(p => p).map(p => p.id);
-    if (validPostIds.length > 0) {
-      const interactionPipeline = trackedRedis.pipeline();
+  // Comment lines keep proxies from closing idle connections
+  setInterval(() => {
+    const usernames = new Set();
+    for (const client of streamClients.values()) {
+      client.res.write(': ping\n\n');
+      usernames.add(client.username);
+    }
+    if (usernames.size === 0) return;
 
-      for (const postId of validPostIds) {
-        interactionPipeline.sismember(`post:${postId}:likes`, authenticatedUsername);
-        interactionPipeline.sismember(`post:${postId}:bookmarks`, authenticatedUsername);
+    const pipeline = redis.pipeline();
+    for (const username of usernames) {
+      pipeline.expire(`stream:connections:${username}`, STREAM_CONNECTIONS_TTL_SECONDS);
+    }
+    pipeline.exec().catch(err => streamLog.error("Failed to refresh stream connection counts", err));
+  }, STREAM_HEARTBEAT_MS);
+}
+
+// ===== Ranking =====
+// Every engagement-ranked key uses the same formula:
+//   points = likes*like_weight + comments*comment_weight + bookmarks*bookmark_weight
+//   score  = points / (hours_since_posted + 1)^gravity, or 0 once older than window_days
+// Each ranked feed has its own profile so weightings can be tuned independently:
+//   trending - trending:posts
+//   hashtag  - hashtag:<tag>:ranked and trending hashtag engagement points
+//   models   - models:top:engagement (running total of points, no time decay)
+// Defaults come from env; admins override them per profile in config:ranking:<profile>.
+const RANKING_PROFILES = ['trending', 'hashtag', 'models'];
+const RANKING_PARAMS = ['like_weight', 'comment_weight', 'bookmark_weight', 'gravity', 'window_days'];
+const RANKING_DEFAULTS = {
+  like_weight: parseFloat(process.env.RANKING_LIKE_WEIGHT || '3'),
+  comment_weight: parseFloat(process.env.RANKING_COMMENT_WEIGHT || '5'),
+  bookmark_weight: parseFloat(process.env.RANKING_BOOKMARK_WEIGHT || '4'),
+  gravity: parseFloat(process.env.RANKING_GRAVITY || '1'),
+  window_days: parseFloat(process.env.RANKING_WINDOW_DAYS || '14')
+};
+const RANKING_CONFIG_CACHE_KEY = 'ranking_config';
+
+// ===== Helper: Load ranking profiles (env defaults + admin overrides) =====
+async function getRankingConfig(trackedRedis) {
+  const cached = getCached(RANKING_CONFIG_CACHE_KEY);
+  if (cached) return cached;
+
+  const pipeline = trackedRedis.pipeline();
+  for (const profile of RANKING_PROFILES) {
+    pipeline.hgetall(`config:ranking:${profile}`);
+  }
+  const results = await pipeline.exec();
+
+  const config = {};
+  RANKING_PROFILES.forEach((profile, i) => {
+    const overrides = results[i][1] || {};
+    config[profile] = { ...RANKING_DEFAULTS };
+    for (const param of RANKING_PARAMS) {
+      if (overrides[param] !== undefined) {
+        config[profile][param] = parseFloat(overrides[param]);
       }
+    }
+  });
 
-      const interactionResults = await interactionPipeline.exec();
+  // Admin changes are broadcast to other instances; the TTL bounds staleness if one is missed
+  setCache(RANKING_CONFIG_CACHE_KEY, config, 30);
+  return config;
+}
 
-      for (let i = 0; i < validPostIds.length; i++) {
-        const postId = validPostIds[i];
-        const likeIndex = i * 2;
-        const bookmarkIndex = i * 2 + 1;
+// ===== Helper: Weighted engagement points =====
+// counts holds likesCount/commentsCount/bookmarksCount (a post hash or a change to it)
+function calculateEngagementPoints(counts, profile) {
+  return (parseInt(counts.likesCount || 0) * profile.like_weight +
+    parseInt(counts.commentsCount || 0) * profile.comment_weight +
+    parseInt(counts.bookmarksCount || 0) * profile.bookmark_weight);
+}
 
-        const [, isLiked] = interactionResults[likeIndex];
-        const [, isBookmarked] = interactionResults[bookmarkIndex];
+// ===== Helper: Check if a post is inside a profile's ranking window =====
+function isInRankingWindow(postData, profile, now = Date.now()) {
+  return now - parseInt(postData.created_at) <= profile.window_days * 24 * 3600 * 1000;
+}
 
-        // Redis SISMEMBER returns 1 if member exists, 0 if not
-        const isLikedNum = parseInt(isLiked) || 0;
-        const isBookmarkedNum = parseInt(isBookmarked) || 0;
+// ===== Helper: Time-decayed engagement score =====
+function calculateRankedScore(postData, profile, now = Date.now()) {
+  if (!isInRankingWindow(postData, profile, now)) return 0;
 
-        interactionMap[postId] = {
-          isLiked: isLikedNum === 1,
-          isBookmarked: isBookmarkedNum === 1
-        };
-      }
-    }
+  const ageInHours = Math.max(0, now - parseInt(postData.created_at)) / 3600000;
+  return calculateEngagementPoints(postData, profile) / Math.pow(ageInHours + 1, profile.gravity);
+}
+
+// ===== Helper: Queue ranked feed updates for a post =====
+// Writes the post's current score to trending:posts and each hashtag:<tag>:ranked set.
+// postData must already carry the counters after the change being made.
+// Banned posts are skipped so no caller can put them back into the ranked feeds.
+function queueRankedScoreUpdate(multi, config, postId, postData, hashtags, now = Date.now()) {
+  if (postData.banned === 'true') return;
+
+  // Posts leave the trending feed once they are older than its window
+  if (isInRankingWindow(postData, config.trending, now)) {
+    multi.zadd('trending:posts', calculateRankedScore(postData, config.trending, now), postId);
+  } else {
+    multi.zrem('trending:posts', postId);
   }
 
-  // Iterate original postIds order and push results
-  const results = [];
-  for (const postData of posts) {
-    if (!postData) continue;
+  const hashtagScore = calculateRankedScore(postData, config.hashtag, now);
+  for (const tag of hashtags) {
+    multi.zadd(`hashtag:${tag}:ranked`, hashtagScore, postId);
+  }
+}
 
-    // Add interaction status to post data
-    const postWithInteractions = {
-      ...postData,
-      isLiked: interactionMap[postData.id]?.isLiked || false,
-      isBookmarked: interactionMap[postData.id]?.isBookmarked || false
-    };
+// ===== Trending Hashtags =====
+// Hashtag activity is counted in hourly buckets: trending:hashtags:posts:<hour> (posts using the tag)
+// and trending:hashtags:engagement:<hour> (hashtag-profile points for likes/comments/bookmarks on those posts).
+// Buckets expire after the longest window, which is summed at read time.
+const TRENDING_HASHTAG_WINDOWS = { '1h': 1, '24h': 24, '7d': 168 };
+const TRENDING_HASHTAG_POST_WEIGHT = 5;
+const TRENDING_HASHTAG_BUCKET_TTL = (168 + 1) * 3600;
+
+// ===== Helper: Queue hashtag activity for trending hashtags =====
+// kind is 'posts' or 'engagement'; amount may be negative (unlike, unbookmark, deleted comments)
+function queueHashtagActivity(multi, hashtags, kind, amount) {
+  if (hashtags.length === 0) return;
+
+  const bucketKey = `trending:hashtags:${kind}:${Math.floor(Date.now() / 3600000)}`;
+  for (const tag of hashtags) {
+    multi.zincrby(bucketKey, amount, tag);
+  }
+  multi.expire(bucketKey, TRENDING_HASHTAG_BUCKET_TTL);
+}
 
-    if (includeUser) {
-      // Include user data (sanitized if not own user)
-      let userData = postData.user_id ? (userMap[postData.user_id] || {}) : {};
+// ===== Helper: Queue ranking updates for an engagement change =====
+// delta holds the change to likesCount/commentsCount/bookmarksCount (negative for removals).
+// Updates ranked feeds, trending hashtag engagement and, for model authors, models:top:engagement.
+async function queueEngagementChange(multi, trackedRedis, postId, postData, delta) {
+  const config = await getRankingConfig(trackedRedis);
 
-      // PRIVACY: Sanitize user data in feed responses
-      // Users in feeds only show public fields (username, display_name, bio, avatar, etc.)
-      // Sensitive fields (email, phone, etc.) are automatically removed
-      if (postData.user_id) {
-        userData = sanitizeUserData(userData, postData.user_id, authenticatedUsername);
-      }
+  const updatedPost = { ...postData };
+  for (const field of Object.keys(delta)) {
+    updatedPost[field] = Math.max(0, parseInt(postData[field] || 0) + delta[field]);
+  }
 
-      results.push({
-        post: postWithInteractions,
-        user: userData
-      });
-    } else {
-      // Only post data, no user
-      results.push({
-        post: postWithInteractions
-      });
-    }
+  const hashtags = extractHashtags(postData.content);
+  queueRankedScoreUpdate(multi, config, postId, updatedPost, hashtags);
+  queueHashtagActivity(multi, hashtags, 'engagement', calculateEngagementPoints(delta, config.hashtag));
+
+  const authorRole = postData.user_role || await trackedRedis.hget(`user:${postData.user_id}`, 'role');
+  if (authorRole === 'model') {
+    multi.zincrby('models:top:engagement', calculateEngagementPoints(delta, config.models), postData.user_id);
   }
+}
 
-  console.log(`[aggregatePostsWithUsers] Returning ${results.length} aggregated posts${includeUser ? ' with users' : ' (no users)'}${authenticatedUsername ? ' with interactions' : ''}`);
-  return results;
+// ===== Search =====
+// Text search over posts (content tokens) and users (username/display_name prefix, bio tokens).
+// The sorted-set index is always maintained so search works without any Redis modules:
+//   search:posts:<token>     - post IDs whose content has <token> (score = created_at)
+//   search:users:names       - "<name term>\0<username>" entries for ZRANGEBYLEX prefix lookups
+//   search:users:bio:<token> - usernames whose bio has <token>
+// When the RediSearch module is loaded (SEARCH_ENGINE=auto or redisearch), queries run against
+// idx:posts / idx:users instead, which index the post:/user: hashes directly.
+const SEARCH_ENGINE = (process.env.SEARCH_ENGINE || 'auto').toLowerCase();
+const SEARCH_MIN_TOKEN_LENGTH = 2;
+const SEARCH_MAX_TOKENS = 50;
+const SEARCH_MAX_RESULTS = 1000;
+const SEARCH_NAME_SEPARATOR = '\u0000';
+
+let redisearchAvailable = false;
+
+// ===== Helper: Tokenize text for search =====
+// Lowercased letter/number runs (so "#Travel" and "@bob" index as "travel" and "bob")
+function tokenizeSearchText(text) {
+  if (!text) return [];
+
+  const tokens = String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return [...new Set(tokens.filter(token => token.length >= SEARCH_MIN_TOKEN_LENGTH))].slice(0, SEARCH_MAX_TOKENS);
 }
 
-// ===== Read‑only Redis proxy endpoint (API key only) =====
-// Frontend clients should use REST endpoints instead
-app.post("/", async (req, res) => {
-  let commands = req.body;
-  if (!Array.isArray(commands)) {
-    if (Array.isArray(req.body.commands)) commands = req.body.commands;
-    else
-      return res
-        .status(400)
-        .json({ error: "Body must be an array of Redis commands" });
+// ===== Helper: Name terms a user can be found by =====
+// Username, full display name and each display name word, lowercased
+function getUserNameTerms(userData) {
+  const terms = new Set();
+  if (userData.username) terms.add(String(userData.username).toLowerCase());
+
+  const displayName = String(userData.display_name || '').toLowerCase().trim();
+  if (displayName) {
+    terms.add(displayName);
+    for (const word of displayName.split(/\s+/)) {
+      terms.add(word);
+    }
   }
 
-  const results = [];
-  const tokenUsername = req.user.username;
-  const isApiKeyAuth = req.user.isApiKey === true;
+  return [...terms];
+}
 
-  // SECURITY: Restrict Redis proxy to API key authentication only
-  // Frontend clients must use REST endpoints for proper authorization and validation
-  if (!isApiKeyAuth) {
-    return res.status(403).json({
-      error: "Redis proxy access requires API key authentication",
-      message: "Frontend clients should use REST endpoints instead",
-      availableEndpoints: [
-        "GET /users/:id - Get user profile",
-        "PATCH /users/:id - Update profile",
-        "POST /posts - Create post",
-        "GET /feed/explore - Get explore feed",
-        "GET /feed/following - Get following feed"
-      ],
-      documentation: "See docs/FRONTEND_GUIDE.md for frontend integration"
-    });
+function queuePostSearchIndex(multi, postId, content, createdAt) {
+  for (const token of tokenizeSearchText(content)) {
+    multi.zadd(`search:posts:${token}`, createdAt, postId);
+  }
+}
+
+function queuePostSearchRemoval(multi, postId, content) {
+  for (const token of tokenizeSearchText(content)) {
+    multi.zrem(`search:posts:${token}`, postId);
+  }
+}
+
+function queueUserSearchIndex(multi, userData) {
+  for (const term of getUserNameTerms(userData)) {
+    multi.zadd('search:users:names', 0, `${term}${SEARCH_NAME_SEPARATOR}${userData.username}`);
+  }
+  for (const token of tokenizeSearchText(userData.bio)) {
+    multi.zadd(`search:users:bio:${token}`, 0, userData.username);
+  }
+}
+
+function queueUserSearchRemoval(multi, userData) {
+  for (const term of getUserNameTerms(userData)) {
+    multi.zrem('search:users:names', `${term}${SEARCH_NAME_SEPARATOR}${userData.username}`);
+  }
+  for (const token of tokenizeSearchText(userData.bio)) {
+    multi.zrem(`search:users:bio:${token}`, userData.username);
+  }
+}
+
+// ===== Helper: Create a RediSearch index unless it already exists =====
+async function ensureSearchIndex(indexName, args) {
+  try {
+    await redis.call('FT.CREATE', indexName, ...args);
+    searchLog.info("Created RediSearch index", { index: indexName });
+  } catch (err) {
+    if (!/already exists/i.test(err.message)) throw err;
+  }
+}
+
+// ===== Helper: Pick the search engine at startup =====
+async function initSearchEngine() {
+  if (SEARCH_ENGINE === 'sorted-set') {
+    searchLog.info("Using the sorted-set index (SEARCH_ENGINE=sorted-set)");
+    return;
+  }
+
+  try {
+    await redis.call('FT._LIST');
+  } catch (err) {
+    const level = SEARCH_ENGINE === 'redisearch' ? 'error' : 'info';
+    searchLog[level]("RediSearch module not available, using the sorted-set index");
+    return;
+  }
+
+  try {
+    await ensureSearchIndex('idx:posts', [
+      'ON', 'HASH', 'PREFIX', '1', 'post:',
+      'SCHEMA', 'content', 'TEXT', 'created_at', 'NUMERIC', 'SORTABLE', 'banned', 'TAG', 'user_id', 'TAG'
+    ]);
+    await ensureSearchIndex('idx:users', [
+      'ON', 'HASH', 'PREFIX', '1', 'user:',
+      'SCHEMA', 'username', 'TEXT', 'NOSTEM', 'display_name', 'TEXT', 'NOSTEM', 'bio', 'TEXT'
+    ]);
+    redisearchAvailable = true;
+    searchLog.info("Using RediSearch");
+  } catch (err) {
+    searchLog.error("Failed to create RediSearch indexes, using the sorted-set index", err);
+  }
+}
+
+// ===== Helper: Store matching post IDs in a sorted set =====
+// Returns a sorted set (score = created_at) holding the posts that contain every token, ready for
+// paginateFeed. Single-token queries read the token's index directly.
+async function buildPostSearchResults(trackedRedis, tokens) {
+  const resultKey = `tmp:search:posts:${[...tokens].sort().join('+')}`;
+
+  if (redisearchAvailable) {
+    const reply = await trackedRedis.call(
+      'FT.SEARCH', 'idx:posts', `@content:(${tokens.join(' ')}) -@banned:{true}`,
+      'SORTBY', 'created_at', 'DESC', 'LIMIT', '0', String(SEARCH_MAX_RESULTS), 'RETURN', '1', 'created_at'
+    );
+
+    // Reply: [total, key, [field, value], key, [field, value], ...]
+    const multi = redis.multi();
+    multi.del(resultKey);
+    for (let i = 1; i < reply.length; i += 2) {
+      const postId = reply[i].replace(/^post:/, '');
+      const fields = reply[i + 1] || [];
+      multi.zadd(resultKey, parseInt(fields[1]) || 0, postId);
+    }
+    multi.expire(resultKey, 60);
+    await multi.exec();
+    return resultKey;
+  }
+
+  if (tokens.length === 1) {
+    return `search:posts:${tokens[0]}`;
+  }
+
+  const pipeline = trackedRedis.pipeline();
+  pipeline.zinterstore(resultKey, tokens.length, ...tokens.map(token => `search:posts:${token}`), 'AGGREGATE', 'MAX');
+  pipeline.expire(resultKey, 60);
+  await pipeline.exec();
+  return resultKey;
+}
+
+// ===== Helper: Find candidate usernames for a user search =====
+// Returns up to SEARCH_MAX_RESULTS usernames whose username/display name starts with the query
+// or whose bio contains every query token.
+async function findUserSearchCandidates(trackedRedis, query, tokens) {
+  if (redisearchAvailable) {
+    const nameClause = tokens.map(token => `${token}*`).join(' ');
+    const clauses = [`@username|display_name:(${nameClause})`];
+    if (tokens.length > 0) clauses.push(`@bio:(${tokens.join(' ')})`);
+
+    const reply = await trackedRedis.call(
+      'FT.SEARCH', 'idx:users', clauses.map(clause => `(${clause})`).join(' | '),
+      'LIMIT', '0', String(SEARCH_MAX_RESULTS), 'NOCONTENT'
+    );
+    return reply.slice(1).map(key => key.replace(/^user:/, ''));
+  }
+
+  // Prefix range on the UTF-8 bytes: [query, query + 0xFF]
+  const prefix = Buffer.from(query);
+  const pipeline = trackedRedis.pipeline();
+  pipeline.zrangebylex('search:users:names', Buffer.concat([Buffer.from('['), prefix]), Buffer.concat([Buffer.from('['), prefix, Buffer.from([0xff])]), 'LIMIT', 0, SEARCH_MAX_RESULTS);
+
+  const bioKey = `tmp:search:users:bio:${[...tokens].sort().join('+')}`;
+  if (tokens.length === 1) {
+    pipeline.zrange(`search:users:bio:${tokens[0]}`, 0, SEARCH_MAX_RESULTS - 1);
+  } else if (tokens.length > 1) {
+    pipeline.zinterstore(bioKey, tokens.length, ...tokens.map(token => `search:users:bio:${token}`));
+    pipeline.zrange(bioKey, 0, SEARCH_MAX_RESULTS - 1);
+    pipeline.del(bioKey);
+  }
+  const results = await pipeline.exec();
+
+  const usernames = new Set();
+  for (const entry of results[0][1] || []) {
+    usernames.add(entry.slice(entry.indexOf(SEARCH_NAME_SEPARATOR) + 1));
+  }
+  if (tokens.length > 0) {
+    const bioMatches = results[tokens.length === 1 ? 1 : 2][1] || [];
+    bioMatches.forEach(username => usernames.add(username));
+  }
+
+  return [...usernames];
+}
+
+// Maximum number of previous versions kept in post:<id>:history
+const POST_EDIT_HISTORY_LIMIT = 20;
+
+// Reason codes accepted by POST /posts/:id/report and POST /users/:id/report
+const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'nudity', 'violence', 'impersonation', 'other'];
+
+// Maximum number of individual reports kept in report:<type>:<id>:entries
+const REPORT_ENTRIES_LIMIT = 50;
+
+// ===== Home Timelines (fan-out on write) =====
+// timeline:<username> holds the newest post IDs from accounts the user follows (score = created_at),
+// written when a post is created. Accounts above TIMELINE_FANOUT_FOLLOWER_LIMIT followers are added to
+// timeline:pull_accounts instead and their posts are merged into the following feed at read time.
+// Timelines that predate fan-out are built on first read (see timelines:built).
+const TIMELINE_MAX_LENGTH = parseInt(process.env.TIMELINE_MAX_LENGTH) || 800;
+const TIMELINE_FANOUT_FOLLOWER_LIMIT = parseInt(process.env.TIMELINE_FANOUT_FOLLOWER_LIMIT) || 10000;
+
+// ===== Helper: Queue fan-out of a post to followers' timelines =====
+// Returns false when the author is a pull account (nothing is written to timelines).
+async function queuePostFanOut(multi, trackedRedis, authorUsername, postId, score, followerCount) {
+  const isPullAccount = parseInt(followerCount) > TIMELINE_FANOUT_FOLLOWER_LIMIT ||
+    await trackedRedis.sismember('timeline:pull_accounts', authorUsername) === 1;
+
+  if (isPullAccount) {
+    // Once an account is pulled it stays pulled, so earlier posts never go missing
+    multi.sadd('timeline:pull_accounts', authorUsername);
+    return false;
+  }
+
+  const followerUsernames = await trackedRedis.smembers(`user:${authorUsername}:followers`);
+  for (const followerUsername of followerUsernames) {
+    multi.zadd(`timeline:${followerUsername}`, score, postId);
+    multi.zremrangebyrank(`timeline:${followerUsername}`, 0, -(TIMELINE_MAX_LENGTH + 1));
+  }
+
+  return true;
+}
+
+// ===== Helper: Queue removal of posts from the author's followers' timelines =====
+// Used when posts are deleted or banned.
+async function queuePostTimelineRemoval(multi, trackedRedis, authorUsername, postIds) {
+  if (postIds.length === 0) return;
+
+  const followerUsernames = await trackedRedis.smembers(`user:${authorUsername}:followers`);
+  for (const followerUsername of followerUsernames) {
+    multi.zrem(`timeline:${followerUsername}`, ...postIds);
+  }
+}
+
+// ===== Helper: Queue backfill of a newly followed account's posts =====
+// Adds the target's newest posts to each follower's timeline. Unbuilt timelines are skipped (they
+// are built from scratch on first read) and so are pull accounts (merged at read time).
+async function queueTimelineBackfill(multi, trackedRedis, followerUsernames, targetUsername) {
+  if (followerUsernames.length === 0) return;
+
+  const pipeline = trackedRedis.pipeline();
+  pipeline.sismember('timeline:pull_accounts', targetUsername);
+  pipeline.zrevrange(`user:${targetUsername}:posts`, 0, TIMELINE_MAX_LENGTH - 1, 'WITHSCORES');
+  for (const followerUsername of followerUsernames) {
+    pipeline.sismember('timelines:built', followerUsername);
+  }
+  const results = await pipeline.exec();
+
+  const [, isPullAccount] = results[0];
+  const [, entries] = results[1];
+  if (isPullAccount === 1 || !entries || entries.length === 0) return;
+
+  // ZADD takes score/member pairs, WITHSCORES returns member/score pairs
+  const scoreMembers = [];
+  for (let i = 0; i < entries.length; i += 2) {
+    scoreMembers.push(entries[i + 1], entries[i]);
+  }
+
+  for (let i = 0; i < followerUsernames.length; i++) {
+    const [, isBuilt] = results[i + 2];
+    if (isBuilt !== 1) continue;
+
+    multi.zadd(`timeline:${followerUsernames[i]}`, ...scoreMembers);
+    multi.zremrangebyrank(`timeline:${followerUsernames[i]}`, 0, -(TIMELINE_MAX_LENGTH + 1));
+  }
+}
+
+// ===== Helper: Queue removal of an unfollowed account's posts from a timeline =====
+// Only posts newer than the oldest timeline entry can be in the (capped) timeline.
+async function queueTimelineUnfollow(multi, trackedRedis, followerUsername, targetUsername) {
+  const oldestEntry = await trackedRedis.zrange(`timeline:${followerUsername}`, 0, 0, 'WITHSCORES');
+  if (oldestEntry.length === 0) return;
+
+  const postIds = await trackedRedis.zrevrangebyscore(`user:${targetUsername}:posts`, '+inf', oldestEntry[1]);
+  if (postIds.length > 0) {
+    multi.zrem(`timeline:${followerUsername}`, ...postIds);
+  }
+}
+
+// ===== Helper: Invalidate feed caches =====
+function invalidateFeedCaches() {
+  const feedPrefixes = [
+    'explore_feed_',
+    'trending_feed_',
+    'following_feed_',
+    'hashtag_feed_',
+    'hashtag_ranked_',
+    'bookmarked_',
+    'user_posts_',
+    'search_users_newest_',
+    'search_hashtags_top_',
+    'search_hashtags_trending_',
+    'search_posts_',
+    'search_users_match_',
+    'search_users_autocomplete_',
+    'search_models_top_',
+    'post_comments_'
+  ];
+
+  invalidateCache({ prefixes: feedPrefixes });
+}
+
+// ===== Helper: Queue deletion of comments and all nested replies =====
+// Walks comment:<id>:replies breadth-first starting at rootIds and queues deletion of every
+// comment hash, replies set and author index entry on the given MULTI.
+// Returns the IDs of all comments that will be deleted.
+async function queueCommentTreeDeletion(multi, trackedRedis, rootIds) {
+  const commentIds = [];
+  let frontier = [...rootIds];
+
+  while (frontier.length > 0) {
+    commentIds.push(...frontier);
+
+    const replyPipeline = trackedRedis.pipeline();
+    for (const commentId of frontier) {
+      replyPipeline.zrange(`comment:${commentId}:replies`, 0, -1);
+    }
+    const replyResults = await replyPipeline.exec();
+
+    frontier = [];
+    for (const [err, replyIds] of replyResults) {
+      if (!err && replyIds) frontier.push(...replyIds);
+    }
+  }
+
+  if (commentIds.length === 0) return [];
+
+  // Fetch authors and mentions so the per-user comment and mention indexes can be cleaned up
+  const authorPipeline = trackedRedis.pipeline();
+  for (const commentId of commentIds) {
+    authorPipeline.hmget(`comment:${commentId}`, 'user_id', 'mentions');
+  }
+  const authorResults = await authorPipeline.exec();
+
+  for (let i = 0; i < commentIds.length; i++) {
+    const commentId = commentIds[i];
+    const [authorUsername, mentions] = authorResults[i][1] || [];
+
+    if (authorUsername) {
+      multi.zrem(`user:${authorUsername}:comments`, commentId);
+    }
+    queueMentionRemoval(multi, `comment:${commentId}`, parseMentionsField(mentions));
+    multi.del(`comment:${commentId}`);
+    multi.del(`comment:${commentId}:replies`);
+  }
+
+  return commentIds;
+}
+
+// ===== Helper: Get authors hidden from a viewer =====
+// Union of users the viewer blocked, users who blocked the viewer, users the viewer muted and
+// private accounts the viewer does not follow. Anonymous viewers get every private account.
+// Cached for 5 minutes; invalidated by the block/mute/follow endpoints and privacy changes.
+async function getHiddenAuthors(trackedRedis, username) {
+  if (!username) {
+    const cachedPrivate = getCached('private_authors');
+    if (cachedPrivate) return new Set(cachedPrivate);
+
+    const privateAuthors = await trackedRedis.smembers('users:private');
+    setCache('private_authors', privateAuthors, 300);
+    return new Set(privateAuthors);
+  }
+
+  const cacheKey = `hidden_authors_${username}`;
+  const cached = getCached(cacheKey);
+  if (cached) return new Set(cached);
+
+  const pipeline = trackedRedis.pipeline();
+  pipeline.smembers(`user:${username}:blocked`);
+  pipeline.smembers(`user:${username}:blocked_by`);
+  pipeline.smembers(`user:${username}:muted`);
+  pipeline.sdiff('users:private', `user:${username}:following`);
+  const results = await pipeline.exec();
+
+  const hidden = new Set();
+  for (const [err, members] of results) {
+    if (!err && members) members.forEach(member => hidden.add(member));
+  }
+
+  // Private accounts always see their own posts
+  hidden.delete(username);
+
+  setCache(cacheKey, [...hidden], 300);
+  return hidden;
+}
+
+// ===== Helper: Invalidate cached hidden author sets for all viewers =====
+// Making an account private or public changes what every viewer can see.
+function invalidateHiddenAuthorCaches() {
+  invalidateCache({ keys: ['private_authors'], prefixes: ['hidden_authors_'] });
+}
+
+// ===== Helper: Queue approval of a pending follow request =====
+// Moves requesterUsername from username's follow requests into a regular follow relationship.
+function queueFollowRequestApproval(multi, username, requesterUsername) {
+  multi.zrem(`user:${username}:follow_requests`, requesterUsername);
+  multi.srem(`user:${requesterUsername}:follow_requests_sent`, username);
+  multi.sadd(`user:${requesterUsername}:following`, username);
+  multi.sadd(`user:${username}:followers`, requesterUsername);
+  multi.hincrby(`user:${requesterUsername}`, 'followingCount', 1);
+  multi.hincrby(`user:${username}`, 'followerCount', 1);
+}
+
+// ===== Helper: Check if either user blocked the other =====
+async function isBlockedBetween(trackedRedis, username, otherUsername) {
+  const pipeline = trackedRedis.pipeline();
+  pipeline.sismember(`user:${username}:blocked`, otherUsername);
+  pipeline.sismember(`user:${otherUsername}:blocked`, username);
+  const results = await pipeline.exec();
+  return results.some(([err, isMember]) => !err && isMember === 1);
+}
+
+// ===== Helper: Check if a private author's posts are hidden from a user =====
+// Same rule as getHiddenAuthors: private accounts are only visible to themselves, their followers
+// and admins. Used by single-post interactions, which do not go through the feed filters.
+async function isHiddenPrivateAuthor(trackedRedis, user, authorUsername) {
+  if (user.username === authorUsername || user.role === 'admin') return false;
+
+  const pipeline = trackedRedis.pipeline();
+  pipeline.sismember('users:private', authorUsername);
+  pipeline.sismember(`user:${user.username}:following`, authorUsername);
+  const [[, isPrivate], [, isFollowing]] = await pipeline.exec();
+  return isPrivate === 1 && isFollowing !== 1;
+}
+
+// ===== Helper: Feed cursors =====
+// Cursors are opaque to clients: base64url of "<score>:<post id>" for the last post of a page.
+function encodeFeedCursor(score, postId) {
+  return Buffer.from(`${score}:${postId}`).toString('base64url');
+}
+
+function decodeFeedCursor(cursor) {
+  const decoded = Buffer.from(String(cursor), 'base64url').toString();
+  const separator = decoded.indexOf(':');
+  if (separator <= 0) return null;
+
+  const score = Number(decoded.slice(0, separator));
+  const postId = decoded.slice(separator + 1);
+  if (!Number.isFinite(score) || !postId) return null;
+
+  return { score, postId };
+}
+
+// ===== Helper: Parse feed pagination query parameters =====
+// Returns null when a cursor is given but cannot be decoded.
+// `position` identifies the page in cache keys (raw cursor in cursor mode, offset otherwise).
+function parseFeedPage(query) {
+  const offset = parseInt(query.offset) || 0;
+  let limit = parseInt(query.limit) || 20;
+
+  // Validate and cap limit at 100
+  if (limit > 100) limit = 100;
+
+  if (!query.cursor) {
+    return { offset, limit, cursor: null, rawCursor: null, position: offset };
+  }
+
+  const cursor = decodeFeedCursor(query.cursor);
+  if (!cursor) return null;
+
+  return { offset, limit, cursor, rawCursor: query.cursor, position: `c${query.cursor}` };
+}
+
+// ===== Helper: Build the feed pagination object =====
+// Offset mode echoes `offset`, cursor mode echoes `cursor`; both return `next_cursor`.
+function buildFeedPagination(page, count, nextCursor) {
+  const position = page.cursor ? { cursor: page.rawCursor } : { offset: page.offset };
+  return {
+    ...position,
+    limit: page.limit,
+    count,
+    next_cursor: nextCursor
+  };
+}
+
+// ===== Helper: Buffered feed pagination =====
+// Reads a feed sorted set highest score first and hands each batch of post IDs to loadPosts,
+// which returns the visible { post, user } items. Batches are buffered (2x limit) to fill pages
+// when posts are missing or hidden.
+// Offset mode reads with ZREVRANGE from page.offset. Cursor mode reads with ZREVRANGEBYSCORE from
+// the cursor's score and skips entries up to the cursor's post, so posts added while a client
+// scrolls don't shift its pages. nextCursor points at the last returned post, or is null when
+// the feed ran out (one item past the page is loaded to tell an exactly full last page apart).
+async function paginateFeed(trackedRedis, key, page, loadPosts) {
+  const { offset, cursor, limit } = page;
+  const bufferMultiplier = 2;
+  const bufferSize = limit * bufferMultiplier;
+  const scores = {}; // Map of postId -> score, used to build the next cursor
+  let scanned = 0;
+  let items = [];
+
+  // Continue fetching until we have a page plus one post or run out of items
+  while (items.length <= limit) {
+    const entries = cursor
+      ? await trackedRedis.zrevrangebyscore(key, cursor.score, '-inf', 'WITHSCORES', 'LIMIT', scanned, bufferSize)
+      : await trackedRedis.zrevrange(key, offset + scanned, offset + scanned + bufferSize - 1, 'WITHSCORES');
+
+    feedLog.debug("Fetched post IDs", { key, count: entries.length / 2, cursor: Boolean(cursor), offset, skipped: scanned });
+
+    // No more posts available
+    if (entries.length === 0) break;
+
+    scanned += entries.length / 2;
+
+    const postIds = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      const postId = entries[i];
+      const score = entries[i + 1];
+
+      // Entries tied with the cursor's score come in descending member order;
+      // the cursor's post and everything before it were already served
+      if (cursor && Number(score) === cursor.score && postId >= cursor.postId) continue;
+
+      scores[postId] = score;
+      postIds.push(postId);
+    }
+
+    if (postIds.length > 0) {
+      items.push(...await loadPosts(postIds));
+    }
+  }
+
+  const hasMore = items.length > limit;
+  items = items.slice(0, limit);
+
+  const lastItem = items[items.length - 1];
+  const nextCursor = hasMore && lastItem
+    ? encodeFeedCursor(scores[lastItem.post.id], lastItem.post.id)
+    : null;
+
+  return { items, nextCursor };
+}
+
+// ===== Helper: Aggregate posts with user data =====
+// hiddenAuthors: optional Set of usernames whose posts are dropped. When omitted and a viewer is
+// given, the viewer's blocked/muted authors are looked up (feeds pass it in to avoid repeat lookups).
+async function aggregatePostsWithUsers(postIds, requestId, includeUser = true, authenticatedUsername = null, hiddenAuthors = undefined) {
+  if (postIds.length === 0) return [];
+
+  feedLog.debug("[aggregatePostsWithUsers] Processing post IDs", { count: postIds.length, include_user: includeUser });
+
+  const trackedRedis = createTrackedRedis(requestId);
+
+  if (hiddenAuthors === undefined) {
+    hiddenAuthors = await getHiddenAuthors(trackedRedis, authenticatedUsername);
+  }
+
+  // First: Check post cache and collect uncached post IDs
+  const uncachedPostIds = [];
+  const postMap = {}; // Map of postId -> postData
+
+  for (const postId of postIds) {
+    const cachedPost = getPostCached(postId);
+    if (cachedPost) {
+      feedLog.debug("[aggregatePostsWithUsers] Post cache hit", { post_id: postId });
+      postMap[postId] = cachedPost;
+    } else {
+      uncachedPostIds.push(postId);
+    }
+  }
+
+  feedLog.debug("[aggregatePostsWithUsers] Post cache lookup", { cached: Object.keys(postMap).length, to_fetch: uncachedPostIds.length });
+
+  // Second pipeline: Fetch only uncached posts
+  if (uncachedPostIds.length > 0) {
+    const postPipeline = trackedRedis.pipeline();
+    for (const postId of uncachedPostIds) {
+      postPipeline.hgetall(`post:${postId}`);
+    }
+    const postResults = await postPipeline.exec();
+
+    // Process fetched posts and cache them
+    for (let i = 0; i < uncachedPostIds.length; i++) {
+      const postId = uncachedPostIds[i];
+      const [err, postData] = postResults[i];
+
+      if (err || !postData || Object.keys(postData).length === 0) {
+        feedLog.debug("[aggregatePostsWithUsers] Skipping empty or failed post", { post_id: postId });
+        continue;
+      }
+
+      // Cache the post for 10 minutes
+      setPostCache(postId, postData, 600);
+      postMap[postId] = postData;
+    }
+  }
+
+  // Build posts array in original order (posts by hidden authors are dropped)
+  const posts = [];
+  for (const postId of postIds) {
+    const postData = postMap[postId];
+    if (postData && !(hiddenAuthors && hiddenAuthors.has(postData.user_id))) {
+      posts.push(postData);
+    } else {
+      posts.push(null);
+    }
+  }
+
+  // Collect user_id values and build unique set, check cache first
+  const userIds = new Set();
+  const userMap = {};
+
+  for (const postData of posts) {
+    if (!postData) continue;
+
+    // Only fetch users if includeUser is true
+    if (includeUser && postData.user_id) {
+      // Check user cache first
+      const cachedUser = getUserCached(postData.user_id);
+      if (cachedUser) {
+        feedLog.debug("[aggregatePostsWithUsers] User cache hit", { user_id: postData.user_id });
+        userMap[postData.user_id] = cachedUser;
+      } else {
+        userIds.add(postData.user_id);
+      }
+    }
+  }
+
+  feedLog.debug("[aggregatePostsWithUsers] Found valid posts", { count: posts.filter(p => p).length });
+
+  if (includeUser) {
+    feedLog.debug("[aggregatePostsWithUsers] User cache lookup", { cached: Object.keys(userMap).length, to_fetch: userIds.size });
+
+    // Second pipeline: Fetch uncached users
+    if (userIds.size > 0) {
+      const userPipeline = trackedRedis.pipeline();
+      const userIdArray = Array.from(userIds);
+
+      for (const userId of userIdArray) {
+        userPipeline.hgetall(`user:${userId}`);
+      }
+      const userResults = await userPipeline.exec();
+
+      // Build map of user_id -> userData and cache them
+      for (let i = 0; i < userIdArray.length; i++) {
+        const userId = userIdArray[i];
+        const [, userData] = userResults[i];
+        const userDataObj = userData || {};
+
+        feedLog.debug("[aggregatePostsWithUsers] Fetched user", { user_id: userId, fields: Object.keys(userDataObj).length });
+
+        userMap[userId] = userDataObj;
+        // Cache user data for 5 minutes (cache unsanitized data)
+        setUserCache(userId, userDataObj, 300);
+      }
+    }
+  }
+
+  // Check interaction status (liked/bookmarked) if user is authenticated
+  const interactionMap = {}; // Map of postId -> { isLiked, isBookmarked }
+
+  if (authenticatedUsername) {
+    const validPostIds = posts.filter(p => p).map(p => p.id);
+    if (validPostIds.length > 0) {
+      const interactionPipeline = trackedRedis.pipeline();
+
+      for (const postId of validPostIds) {
+        interactionPipeline.sismember(`post:${postId}:likes`, authenticatedUsername);
+        interactionPipeline.sismember(`post:${postId}:bookmarks`, authenticatedUsername);
+      }
+
+      const interactionResults = await interactionPipeline.exec();
+
+      for (let i = 0; i < validPostIds.length; i++) {
+        const postId = validPostIds[i];
+        const likeIndex = i * 2;
+        const bookmarkIndex = i * 2 + 1;
+
+        const [, isLiked] = interactionResults[likeIndex];
+        const [, isBookmarked] = interactionResults[bookmarkIndex];
+
+        // Redis SISMEMBER returns 1 if member exists, 0 if not
+        const isLikedNum = parseInt(isLiked) || 0;
+        const isBookmarkedNum = parseInt(isBookmarked) || 0;
+
+        interactionMap[postId] = {
+          isLiked: isLikedNum === 1,
+          isBookmarked: isBookmarkedNum === 1
+        };
+      }
+    }
+  }
+
+  // Iterate original postIds order and push results
+  const results = [];
+  for (const postData of posts) {
+    if (!postData) continue;
+
+    // Add interaction status to post data
+    const postWithInteractions = {
+      ...postData,
+      isLiked: interactionMap[postData.id]?.isLiked || false,
+      isBookmarked: interactionMap[postData.id]?.isBookmarked || false
+    };
+
+    if (includeUser) {
+      // Include user data (sanitized if not own user)
+      let userData = postData.user_id ? (userMap[postData.user_id] || {}) : {};
+
+      // PRIVACY: Sanitize user data in feed responses
+      // Users in feeds only show public fields (username, display_name, bio, avatar, etc.)
+      // Sensitive fields (email, phone, etc.) are automatically removed
+      if (postData.user_id) {
+        userData = sanitizeUserData(userData, postData.user_id, authenticatedUsername);
+      }
+
+      results.push({
+        post: postWithInteractions,
+        user: userData
+      });
+    } else {
+      // Only post data, no user
+      results.push({
+        post: postWithInteractions
+      });
+    }
+  }
+
+  feedLog.debug("[aggregatePostsWithUsers] Returning aggregated posts", { count: results.length, include_user: includeUser, with_interactions: Boolean(authenticatedUsername) });
+  return results;
+}
+
+// ===== Helpers: Shape Redis proxy arguments and replies for logging =====
+// Hash field/value lists are turned into objects so the logger can redact them by field name.
+function describeRedisArgs(cmd, args) {
+  if (["HSET", "HMSET", "HSETNX"].includes(cmd)) {
+    const fields = {};
+    for (let i = 1; i + 1 < args.length; i += 2) fields[args[i]] = args[i + 1];
+    return { key: args[0], fields };
+  }
+  return args;
+}
+
+// HGET/HMGET replies carry no field names, so they are paired with the requested fields.
+function describeRedisReply(cmd, args, result) {
+  if (cmd === "HGET") return { [args[1]]: result };
+  if (cmd === "HMGET" && Array.isArray(result)) {
+    return Object.fromEntries(args.slice(1).map((field, index) => [field, result[index]]));
+  }
+  return result;
+}
+
+// ===== Read‑only Redis proxy endpoint (API key only) =====
+// Frontend clients should use REST endpoints instead
+app.post("/", async (req, res) => {
+  let commands = req.body;
+  if (!Array.isArray(commands)) {
+    if (Array.isArray(req.body.commands)) commands = req.body.commands;
+    else
+      return res
+        .status(400)
+        .json({ error: "Body must be an array of Redis commands" });
+  }
+
+  const results = [];
+  const tokenUsername = req.user.username;
+  const isApiKeyAuth = req.user.isApiKey === true;
+
+  // SECURITY: Restrict Redis proxy to API key authentication only
+  // Frontend clients must use REST endpoints for proper authorization and validation
+  if (!isApiKeyAuth) {
+    return res.status(403).json({
+      error: "Redis proxy access requires API key authentication",
+      message: "Frontend clients should use REST endpoints instead",
+      availableEndpoints: [
+        "GET /users/:id - Get user profile",
+        "PATCH /users/:id - Update profile",
+        "POST /posts - Create post",
+        "GET /feed/explore - Get explore feed",
+        "GET /feed/following - Get following feed"
+      ],
+      documentation: "See docs/FRONTEND_GUIDE.md for frontend integration"
+    });
   }
 
   for (const [cmdRaw, ...args] of commands) {
     const cmd = cmdRaw.toUpperCase();
 
-    // disallow write ops
-    const writeCommands = [
-      "SET",
-      "DEL",
-      "HSET",
-      "HINCRBY",
-      "ZADD",
-      "ZREM",
-      "INCR",
-      "DECR",
-      "MSET",
-      "APPEND",
-      "EXPIRE"
-    ];
-    if (writeCommands.includes(cmd)) {
-      results.push("ERR read-only mode");
-      continue;
+    // disallow write ops
+    const writeCommands = [
+      "SET",
+      "DEL",
+      "HSET",
+      "HINCRBY",
+      "ZADD",
+      "ZREM",
+      "INCR",
+      "DECR",
+      "MSET",
+      "APPEND",
+      "EXPIRE"
+    ];
+    if (writeCommands.includes(cmd)) {
+      results.push("ERR read-only mode");
+      continue;
+    }
+
+    try {
+      // Replace user:me placeholder in key positions (API key only, resolves to user:xano_sync)
+      // Note: Since only API key reaches this point, placeholder support is minimal
+      // Multi-key commands that accept multiple keys as arguments
+      const multiKeyCommands = ["MGET", "DEL", "EXISTS", "TOUCH", "UNLINK", "SUNION", "SINTER", "SDIFF", "ZUNION", "ZINTER", "ZDIFF"];
+
+      const argsProcessed = args.map((a, index) => {
+        if (typeof a !== "string") {
+          return a;
+        }
+
+        // For multi-key commands, apply replacement to all string arguments (they're all keys)
+        if (multiKeyCommands.includes(cmd)) {
+          return a.replace(/^user:me(?=$|:)/, `user:${tokenUsername}`);
+        }
+
+        // For single-key commands, only replace the first argument (the key)
+        if (index === 0) {
+          return a.replace(/^user:me(?=$|:)/, `user:${tokenUsername}`);
+        }
+
+        return a;
+      });
+
+      // Restrict user:<username>:following access
+      if (
+        argsProcessed.length > 0 &&
+        typeof argsProcessed[0] === "string" &&
+        /^user:[^:]+:following$/.test(argsProcessed[0])
+      ) {
+        const usernameInKey = argsProcessed[0].split(":")[1];
+        if (usernameInKey !== tokenUsername) {
+          results.push("ERR forbidden: private resource");
+          continue;
+        }
+      }
+
+      // Note: API key authentication allows reading any user data for backend sync operations
+      // Validation of key formats is still performed below
+
+      // Block sensitive keys like otp:* and session*
+      if (
+        argsProcessed.length > 0 &&
+        typeof argsProcessed[0] === "string"
+      ) {
+        const key = argsProcessed[0];
+        if (/^otp:[\w-]+$/.test(key) || /^session[\w-]+$/.test(key)) {
+          results.push("ERR forbidden: private key");
+          continue;
+        }
+      }
+
+      // Arguments and replies are only logged at debug level (LOG_LEVELS=redis-proxy=debug), redacted
+      redisProxyLog.debug("Redis request", { username: req.user.username, command: cmd, args: describeRedisArgs(cmd, argsProcessed) });
+
+      const result = await redis[cmd.toLowerCase()](...argsProcessed);
+
+      if (redisProxyLog.isEnabled('debug')) {
+        redisProxyLog.debug("Redis result", { command: cmd, key: argsProcessed[0], result: describeRedisReply(cmd, argsProcessed, result) });
+      }
+
+      results.push(result);
+    } catch (err) {
+      redisProxyLog.error("Redis error", { command: cmdRaw, err });
+      results.push(`ERR ${err.message}`);
+    }
+  }
+
+  res.json(results);
+});
+
+// ===== POST /redis/write: Write-enabled Redis proxy (API key only) =====
+// Frontend clients should use REST endpoints for writes
+app.post("/redis/write", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const tokenUsername = req.user.username;
+    const isApiKeyAuth = req.user.isApiKey === true;
+    const commands = req.body;
+
+    // Normalize single command array to array of commands for Upstash-style compatibility
+    // Supports both formats:
+    // - Single command: ["HSET", "user:123", "email", "test@example.com"]
+    // - Array of commands: [["HSET", "user:123", "email", "test@example.com"], ["HDEL", "user:123", "tmpField"]]
+    let commandsNormalized;
+    if (Array.isArray(commands) && commands.length > 0 && typeof commands[0] === 'string') {
+      commandsNormalized = [commands];
+    } else {
+      commandsNormalized = commands;
+    }
+
+    if (!Array.isArray(commandsNormalized) || commandsNormalized.length === 0) {
+      return res.status(400).json({ error: "Request body must be a non-empty array of commands" });
+    }
+
+    // SECURITY: Restrict Redis write proxy to API key authentication only
+    // Frontend clients must use REST endpoints for proper authorization and validation
+    if (!isApiKeyAuth) {
+      return res.status(403).json({
+        error: "Redis write proxy requires API key authentication",
+        message: "Frontend clients should use REST endpoints like PATCH /users/:id instead",
+        availableEndpoints: [
+          "PATCH /users/:id - Update user profile",
+          "POST /posts - Create post",
+          "POST /posts/:id/like - Like post",
+          "POST /posts/:id/bookmark - Bookmark post",
+          "POST /users/:username/follow - Follow user"
+        ],
+        documentation: "See docs/FRONTEND_GUIDE.md for frontend integration"
+      });
+    }
+
+    // Whitelist of allowed write commands
+    const allowedWriteCommands = ["HSET", "HDEL", "HINCRBY"];
+
+    // FIELD RESTRICTIONS: Certain fields require denormalization or are system-managed
+    // Blocked fields that require PATCH /users/:id (denormalization):
+    // - username, display_name, avatar (must update all user's posts)
+    // System-managed fields (auto-calculated):
+    // - role, postCount, followerCount, followingCount
+    // Allowed fields:
+    // - bio, links, and any custom fields
+    // - Sensitive fields (email, phone, etc.) can be updated
+    const blockedFields = [
+      "username", "display_name", "avatar",  // Require denormalization to posts
+      "role", "postCount", "followerCount", "followingCount"  // System-managed
+    ];
+
+    const results = [];
+
+    for (let command of commandsNormalized) {
+      if (!Array.isArray(command) || command.length === 0) {
+        results.push("ERR invalid command format");
+        continue;
+      }
+
+      const [cmdRaw, ...args] = command;
+      const cmd = cmdRaw.toUpperCase();
+
+      // Check command whitelist
+      if (!allowedWriteCommands.includes(cmd)) {
+        results.push("ERR command not allowed in write mode");
+        continue;
+      }
+
+      try {
+        // Replace user:me placeholder in key argument only (API key only, resolves to user:xano_sync)
+        // Note: Since only API key reaches this point, recommend using explicit usernames instead
+        const argsProcessed = args.map((a, index) =>
+          index === 0 && typeof a === "string"
+            ? a.replace(/^user:me(?=$|:)/, `user:${tokenUsername}`)
+            : a
+        );
+
+        // Authorization check: validate key format
+        if (argsProcessed.length > 0 && typeof argsProcessed[0] === "string") {
+          const key = argsProcessed[0];
+
+          // Check if key matches user:<username> or user:<username>:* pattern
+          const userKeyMatch = key.match(/^user:([^:]+)(?::.*)?$/);
+
+          if (!userKeyMatch) {
+            results.push("ERR invalid key format");
+            continue;
+          }
+
+          // API key authentication allows modifying any user data (for backend sync operations)
+        }
+
+        // Field restriction check for HSET and HDEL commands
+        // NOTE: These restrictions apply to API key requests to ensure data consistency
+        // Could be relaxed in the future if needed for Xano sync edge cases
+
+        // HSET supports multiple field-value pairs: HSET key f1 v1 f2 v2 ...
+        // Validate all field names, not just the first one
+        if (cmd === "HSET" && argsProcessed.length >= 2) {
+          // Validate argument count: must have key + field-value pairs (odd total count)
+          if (argsProcessed.length % 2 === 0) {
+            results.push("ERR HSET requires field-value pairs (odd number of arguments after key)");
+            continue;
+          }
+
+          // Extract all field names (at odd indices: 1, 3, 5, ...)
+          const fieldNames = [];
+          for (let i = 1; i < argsProcessed.length; i += 2) {
+            fieldNames.push(argsProcessed[i]);
+          }
+
+          // Check each field against blocked list
+          const blockedFieldsFound = fieldNames.filter(f => blockedFields.includes(f));
+          if (blockedFieldsFound.length > 0) {
+            const fieldList = blockedFieldsFound.map(f => `'${f}'`).join(", ");
+            results.push(`ERR field${blockedFieldsFound.length > 1 ? 's' : ''} ${fieldList} cannot be modified directly, use PATCH /users/:id`);
+            continue;
+          }
+        }
+
+        if (cmd === "HDEL") {
+          // HDEL can have multiple fields: HDEL key field1 field2 ...
+          const fieldsToDelete = argsProcessed.slice(1);
+          const blockedFieldAttempt = fieldsToDelete.find(f => blockedFields.includes(f));
+          if (blockedFieldAttempt) {
+            results.push(`ERR field '${blockedFieldAttempt}' cannot be modified directly, use PATCH /users/:id`);
+            continue;
+          }
+        }
+
+        if (cmd === "HINCRBY" && argsProcessed.length >= 2) {
+          const fieldName = argsProcessed[1];
+          if (blockedFields.includes(fieldName)) {
+            // Allow API key sync to increment count fields (followerCount, followingCount, postCount)
+            const allowedCountFields = ['followerCount', 'followingCount', 'postCount'];
+            const isAllowedForApiKey = req.user.isApiKey === true && allowedCountFields.includes(fieldName);
+
+            if (!isAllowedForApiKey) {
+              results.push(`ERR field '${fieldName}' cannot be modified directly, use PATCH /users/:id`);
+              continue;
+            }
+
+            // Optionally validate that the increment value is numeric
+            if (argsProcessed.length >= 3 && isNaN(Number(argsProcessed[2]))) {
+              results.push(`ERR HINCRBY increment must be numeric`);
+              continue;
+            }
+          }
+        }
+
+        // Writes are logged at info level with the key and, for hashes, the field names;
+        // full (redacted) arguments only at debug level
+        const writeLog = { username: req.user.username, command: cmd, key: argsProcessed[0] };
+        if (cmd === "HSET" || cmd === "HDEL") {
+          writeLog.fields = cmd === "HSET"
+            ? argsProcessed.filter((arg, index) => index % 2 === 1)
+            : argsProcessed.slice(1);
+        }
+        redisProxyLog.info("Redis write request", writeLog);
+        redisProxyLog.debug("Redis write arguments", { command: cmd, args: describeRedisArgs(cmd, argsProcessed) });
+
+        const trackedRedis = createTrackedRedis(requestId);
+
+        // Bio changes on a user hash must be reindexed for user search
+        const changesBio = /^user:[^:]+$/.test(argsProcessed[0]) && (
+          (cmd === "HSET" && argsProcessed.some((arg, index) => index % 2 === 1 && arg === 'bio')) ||
+          (cmd === "HDEL" && argsProcessed.slice(1).includes('bio'))
+        );
+        const previousUserData = changesBio ? await trackedRedis.hgetall(argsProcessed[0]) : null;
+
+        // Execute Redis command
+        const result = await trackedRedis[cmd.toLowerCase()](...argsProcessed);
+
+        if (redisProxyLog.isEnabled('debug')) {
+          redisProxyLog.debug("Redis write result", { command: cmd, key: argsProcessed[0], result: describeRedisReply(cmd, argsProcessed, result) });
+        }
+
+        if (previousUserData && Object.keys(previousUserData).length > 0) {
+          const updatedUserData = await trackedRedis.hgetall(argsProcessed[0]);
+          const searchMulti = redis.multi();
+          queueUserSearchRemoval(searchMulti, previousUserData);
+          queueUserSearchIndex(searchMulti, updatedUserData);
+          await searchMulti.exec();
+        }
+
+        // Cache invalidation after successful write
+        // Parse the key to determine which user's data was affected
+        const key = argsProcessed[0];
+        const userKeyMatch = key.match(/^user:([^:]+)/);
+
+        if (userKeyMatch) {
+          const affectedUser = userKeyMatch[1];
+
+          // Invalidate the affected user's cache and their profile cache for all viewers
+          invalidateCache({ users: [affectedUser], prefixes: [`user_profile_${affectedUser}_`] });
+        }
+
+        // Invalidate feed caches (conservative approach)
+        invalidateFeedCaches();
+
+        results.push(result);
+      } catch (err) {
+        redisProxyLog.error("Redis write error", { command: cmdRaw, err });
+        results.push(`ERR ${err.message}`);
+      }
+    }
+
+    res.json({
+      results: results,
+      username: tokenUsername
+    });
+  } catch (err) {
+    httpLog.error("Redis write endpoint error", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ===== POST /posts: Create a new post =====
+// NOTE: API key requests will work here with user_id='xano_sync' and role='admin'
+app.post("/posts", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const username = req.user.username;
+    const { content, media_url } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: "Content is required" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch user data for denormalization
+    const userData = await trackedRedis.hgetall(`user:${username}`);
+
+    if (!userData || Object.keys(userData).length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Only mentions of existing users are stored and indexed
+    const mentions = await resolveMentions(trackedRedis, content, username);
+
+    // Generate post ID (UUID) and timestamp
+    const postId = randomUUID();
+    const timestamp = Date.now();
+
+    // Build post data with denormalized user info
+    const postData = {
+      id: postId,
+      user_id: username,
+      username: userData.username || '',
+      avatar: userData.avatar || '',
+      display_name: userData.display_name || userData.username || '',
+      user_role: userData.role || 'user',
+      content: content.trim(),
+      media_url: media_url || '',
+      mentions: mentions.join(','),
+      created_at: timestamp,
+      likesCount: 0,
+      commentsCount: 0,
+      bookmarksCount: 0
+    };
+
+    // Extract hashtags from content using helper function
+    const extractedHashtags = extractHashtags(content);
+
+    // Use Redis transaction for atomicity
+    const multi = redis.multi();
+
+    // Store post hash
+    multi.hset(`post:${postId}`, postData);
+
+    // Add to explore feed and the global trending feed (no engagement yet)
+    multi.zadd('explore:feed', timestamp, postId);
+    multi.zadd('trending:posts', 0, postId);
+
+    // Add to user's posts
+    multi.zadd(`user:${username}:posts`, timestamp, postId);
+
+    // Add to hashtag feeds using extracted hashtags from content
+    for (const hashtagId of extractedHashtags) {
+      multi.zadd(`hashtag:${hashtagId}:posts`, timestamp, postId);
+      // Initialize ranked feed with score 0
+      multi.zadd(`hashtag:${hashtagId}:ranked`, 0, postId);
+    }
+    queueHashtagActivity(multi, extractedHashtags, 'posts', 1);
+
+    // Add to text search index
+    queuePostSearchIndex(multi, postId, postData.content, timestamp);
+
+    // Index under each mentioned user and notify them
+    queueMentionIndex(multi, `post:${postId}`, mentions, timestamp);
+    const queuedNotifications = await queueNotifications(multi, trackedRedis, mentions, { type: 'mention', actor: username, post_id: postId });
+
+    // Increment user's post count
+    multi.hincrby(`user:${username}`, 'postCount', 1);
+
+    // Fan out to followers' home timelines (skipped for pull accounts)
+    await queuePostFanOut(multi, trackedRedis, username, postId, timestamp, userData.followerCount);
+
+    await multi.exec();
+    publishNewPost(postData);
+    publishNotifications(queuedNotifications);
+
+    // Invalidate relevant caches
+    invalidateCache({ keys: [`user_profile_${username}_${username}`] });
+    invalidateFeedCaches();
+
+    res.status(201).json({ post: postData });
+  } catch (err) {
+    httpLog.error("Error creating post", err);
+    res.status(500).json({ error: "Failed to create post" });
+  }
+});
+
+// ===== GET /posts/:id: Get a single post with author and interaction status =====
+// Banned posts are only visible to admins
+app.get("/posts/:id", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const authenticatedUsername = req.user.username;
+    const includeUser = req.query.includeUser !== 'false'; // default true
+
+    // Admins open any post for moderation, including private accounts' posts they don't follow
+    // (same exemption as isHiddenPrivateAuthor)
+    const hiddenAuthors = req.user.role === 'admin' ? new Set() : undefined;
+
+    // Reuse feed aggregation (post cache, user cache, sanitization, isLiked/isBookmarked)
+    const aggregated = await aggregatePostsWithUsers([postId], requestId, includeUser, authenticatedUsername, hiddenAuthors);
+    const result = aggregated[0];
+
+    if (!result || (result.post.banned === 'true' && req.user.role !== 'admin')) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    res.json(result);
+  } catch (err) {
+    httpLog.error("Error fetching post", err);
+    res.status(500).json({ error: "Failed to fetch post" });
+  }
+});
+
+// ===== PATCH /posts/:id: Edit a post's content or media =====
+// NOTE: API key requests have role='admin' and will bypass ownership check
+app.patch("/posts/:id", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+    const userRole = req.user.role;
+    const { content, media_url } = req.body;
+
+    if (content === undefined && media_url === undefined) {
+      return res.status(400).json({ error: "No fields to update" });
+    }
+
+    if (content !== undefined && (typeof content !== 'string' || content.trim().length === 0)) {
+      return res.status(400).json({ error: "Content cannot be empty" });
+    }
+
+    if (media_url !== undefined && typeof media_url !== 'string') {
+      return res.status(400).json({ error: "media_url must be a string" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch post data
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (!postData || Object.keys(postData).length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Check authorization (owner or admin)
+    if (postData.user_id !== username && userRole !== 'admin') {
+      return res.status(403).json({ error: "Not authorized to edit this post" });
+    }
+
+    if (postData.banned === 'true') {
+      return res.status(403).json({ error: "Cannot edit a banned post" });
+    }
+
+    const timestamp = Date.now();
+    const updates = { edited_at: timestamp };
+    if (content !== undefined) updates.content = content.trim();
+    if (media_url !== undefined) updates.media_url = media_url;
+
+    // Diff mentions so only added/removed mentions touch user:<username>:mentions
+    const oldMentions = parseMentionsField(postData.mentions);
+    const newMentions = content !== undefined ? await resolveMentions(trackedRedis, updates.content, postData.user_id) : oldMentions;
+    const addedMentions = newMentions.filter(mention => !oldMentions.includes(mention));
+    const removedMentions = oldMentions.filter(mention => !newMentions.includes(mention));
+    if (content !== undefined) updates.mentions = newMentions.join(',');
+
+    // Diff hashtags so hashtag feeds only change for tags that were added or removed
+    const oldHashtags = extractHashtags(postData.content);
+    const newHashtags = content !== undefined ? extractHashtags(updates.content) : oldHashtags;
+    const addedHashtags = newHashtags.filter(tag => !oldHashtags.includes(tag));
+    const removedHashtags = oldHashtags.filter(tag => !newHashtags.includes(tag));
+
+    // Use Redis transaction for atomicity
+    const multi = redis.multi();
+
+    // Store previous version in edit history (newest first, capped)
+    multi.lpush(`post:${postId}:history`, JSON.stringify({
+      content: postData.content,
+      media_url: postData.media_url || '',
+      edited_at: timestamp,
+      edited_by: username
+    }));
+    multi.ltrim(`post:${postId}:history`, 0, POST_EDIT_HISTORY_LIMIT - 1);
+
+    // Update post hash
+    multi.hset(`post:${postId}`, updates);
+
+    // Remove from feeds of hashtags no longer in the content
+    for (const tag of removedHashtags) {
+      multi.zrem(`hashtag:${tag}:posts`, postId);
+      multi.zrem(`hashtag:${tag}:ranked`, postId);
+    }
+
+    // Add to feeds of new hashtags (chronological score stays the original creation time)
+    if (addedHashtags.length > 0) {
+      const createdAt = parseInt(postData.created_at);
+      const rankingConfig = await getRankingConfig(trackedRedis);
+      const score = calculateRankedScore(postData, rankingConfig.hashtag);
+
+      for (const tag of addedHashtags) {
+        multi.zadd(`hashtag:${tag}:posts`, createdAt, postId);
+        multi.zadd(`hashtag:${tag}:ranked`, score, postId);
+      }
+      // Edited-in tags count towards trending hashtags like tags in a new post
+      queueHashtagActivity(multi, addedHashtags, 'posts', 1);
+    }
+
+    // Reindex the new content for text search
+    if (updates.content !== undefined) {
+      queuePostSearchRemoval(multi, postId, postData.content);
+      queuePostSearchIndex(multi, postId, updates.content, parseInt(postData.created_at));
+    }
+
+    // Newly mentioned users see the post at the time of the edit
+    queueMentionRemoval(multi, `post:${postId}`, removedMentions);
+    queueMentionIndex(multi, `post:${postId}`, addedMentions, timestamp);
+    const queuedNotifications = await queueNotifications(multi, trackedRedis, addedMentions, { type: 'mention', actor: postData.user_id, post_id: postId });
+
+    await multi.exec();
+    publishNotifications(queuedNotifications);
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({
+      post: { ...postData, ...updates },
+      hashtags: { added: addedHashtags, removed: removedHashtags }
+    });
+  } catch (err) {
+    httpLog.error("Error editing post", err);
+    res.status(500).json({ error: "Failed to edit post" });
+  }
+});
+
+// ===== GET /posts/:id/history: Get a post's edit history (owner or admin) =====
+app.get("/posts/:id/history", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+    const userRole = req.user.role;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check post exists and who owns it
+    const ownerUsername = await trackedRedis.hget(`post:${postId}`, 'user_id');
+    if (!ownerUsername) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (ownerUsername !== username && userRole !== 'admin') {
+      return res.status(403).json({ error: "Not authorized to view edit history" });
+    }
+
+    const entries = await trackedRedis.lrange(`post:${postId}:history`, 0, -1);
+    const history = entries.map(entry => JSON.parse(entry));
+
+    res.json({ history, count: history.length });
+  } catch (err) {
+    httpLog.error("Error fetching post history", err);
+    res.status(500).json({ error: "Failed to fetch post history" });
+  }
+});
+
+// ===== DELETE /posts/:id: Delete a post =====
+// NOTE: API key requests have role='admin' and will bypass ownership check
+app.delete("/posts/:id", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+    const userRole = req.user.role;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch post data
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (!postData || Object.keys(postData).length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Check authorization (owner or admin)
+    // API key requests will have role='admin' and will bypass this check
+    if (postData.user_id !== username && userRole !== 'admin') {
+      return res.status(403).json({ error: "Not authorized to delete this post" });
+    }
+
+    // Get hashtags from post content (same normalization as POST /posts)
+    const hashtags = extractHashtags(postData.content);
+
+    // Get all users who bookmarked this post to remove from their user:*:bookmarked
+    const bookmarkedBy = await trackedRedis.smembers(`post:${postId}:bookmarks`);
+
+    // Get top-level comment IDs so the whole comment tree can be removed
+    const rootCommentIds = await trackedRedis.zrange(`post:${postId}:comments`, 0, -1);
+
+    // Use Redis transaction for atomicity
+    const multi = redis.multi();
+
+    // Remove from explore and trending feeds and the text search index
+    multi.zrem('explore:feed', postId);
+    multi.zrem('trending:posts', postId);
+    queuePostSearchRemoval(multi, postId, postData.content);
+    queueMentionRemoval(multi, `post:${postId}`, parseMentionsField(postData.mentions));
+
+    // Remove from user's posts
+    multi.zrem(`user:${postData.user_id}:posts`, postId);
+
+    // Remove from hashtag feeds
+    for (const hashtagId of hashtags) {
+      multi.zrem(`hashtag:${hashtagId}:posts`, postId);
+      multi.zrem(`hashtag:${hashtagId}:ranked`, postId);
+    }
+
+    // Remove post from each user's bookmarked list (bookmarkedBy now contains usernames)
+    for (const bookmarkUsername of bookmarkedBy) {
+      multi.zrem(`user:${bookmarkUsername}:bookmarked`, postId);
+    }
+
+    // Delete all comments and nested replies
+    await queueCommentTreeDeletion(multi, trackedRedis, rootCommentIds);
+
+    // Delete interaction sets
+    multi.del(`post:${postId}:likes`);
+    multi.del(`post:${postId}:bookmarks`);
+    multi.del(`post:${postId}:comments`);
+    multi.del(`post:${postId}:history`);
+
+    // Delete post hash
+    multi.del(`post:${postId}`);
+
+    // Decrement user's post count (already decremented when the post was banned)
+    if (postData.banned === 'true') {
+      multi.zrem('moderation:banned', postId);
+    } else {
+      multi.hincrby(`user:${postData.user_id}`, 'postCount', -1);
+    }
+
+    // Remove pending reports for this post
+    queueReportDeletion(multi, 'post', postId);
+
+    // Remove from followers' home timelines
+    await queuePostTimelineRemoval(multi, trackedRedis, postData.user_id, [postId]);
+
+    await multi.exec();
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({ message: "Post deleted successfully" });
+  } catch (err) {
+    httpLog.error("Error deleting post", err);
+    res.status(500).json({ error: "Failed to delete post" });
+  }
+});
+
+// ===== Helper: Ban a post =====
+// Shared by PATCH /posts/:id/ban and report resolution. Marks the post as banned (the hash stays
+// for audit), removes it from every feed, wipes interactions and adds it to moderation:banned.
+// Callers must check that the post exists and is not already banned.
+async function banPost(trackedRedis, postId, postData, moderatorUsername, reason) {
+  // Get all users who bookmarked this post to remove from their user:*:bookmarked
+  const bookmarkedBy = await trackedRedis.smembers(`post:${postId}:bookmarks`);
+
+  const bannedAt = Date.now();
+
+  // Get hashtags from post content (same normalization as POST /posts)
+  const hashtags = extractHashtags(postData.content);
+
+  // Get top-level comment IDs so the whole comment tree can be removed
+  const rootCommentIds = await trackedRedis.zrange(`post:${postId}:comments`, 0, -1);
+
+  // Use Redis transaction for atomicity
+  const multi = redis.multi();
+
+  // Add banned flag for audit trail, in the same transaction as the feed removals
+  multi.hset(`post:${postId}`, {
+    banned: 'true',
+    banned_at: bannedAt.toString(),
+    banned_by: moderatorUsername,
+    ban_reason: reason ? reason.trim() : ''
+  });
+
+  // Remove from explore and trending feeds and the text search index
+  multi.zrem('explore:feed', postId);
+  multi.zrem('trending:posts', postId);
+  queuePostSearchRemoval(multi, postId, postData.content);
+  queueMentionRemoval(multi, `post:${postId}`, parseMentionsField(postData.mentions));
+
+  // Remove from user's posts
+  multi.zrem(`user:${postData.user_id}:posts`, postId);
+
+  // Remove from followers' home timelines
+  await queuePostTimelineRemoval(multi, trackedRedis, postData.user_id, [postId]);
+
+  // Remove from hashtag feeds
+  for (const hashtagId of hashtags) {
+    multi.zrem(`hashtag:${hashtagId}:posts`, postId);
+    multi.zrem(`hashtag:${hashtagId}:ranked`, postId);
+  }
+
+  // Remove post from each user's bookmarked list (bookmarkedBy now contains usernames)
+  for (const bookmarkUsername of bookmarkedBy) {
+    multi.zrem(`user:${bookmarkUsername}:bookmarked`, postId);
+  }
+
+  // Delete all comments and nested replies
+  await queueCommentTreeDeletion(multi, trackedRedis, rootCommentIds);
+
+  // Delete interaction sets (post remains for audit but interactions are removed)
+  multi.del(`post:${postId}:likes`);
+  multi.del(`post:${postId}:bookmarks`);
+  multi.del(`post:${postId}:comments`);
+
+  // Decrement user's post count
+  multi.hincrby(`user:${postData.user_id}`, 'postCount', -1);
+
+  // Add to moderation index (score = ban timestamp)
+  multi.zadd('moderation:banned', bannedAt, postId);
+
+  await multi.exec();
+
+  // Invalidate post cache
+  invalidateCache({ posts: [postId] });
+  invalidateFeedCaches();
+}
+
+// ===== PATCH /posts/:id/ban: Ban a post (admin only) =====
+app.patch("/posts/:id/ban", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const userRole = req.user.role;
+    const reason = req.body?.reason;
+
+    // Only allow admins to ban posts
+    if (userRole !== 'admin') {
+      return res.status(403).json({ error: "Only admins can ban posts" });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: "Reason must be a string of at most 500 characters" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch post data
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (!postData || Object.keys(postData).length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Banning twice would decrement postCount twice
+    if (postData.banned === 'true') {
+      return res.status(400).json({ error: "Post already banned" });
+    }
+
+    httpLog.info("Admin banning post", { post_id: postId });
+
+    await banPost(trackedRedis, postId, postData, req.user.username, reason);
+
+    res.json({ message: "Post banned successfully", postId, reason: reason ? reason.trim() : '' });
+  } catch (err) {
+    httpLog.error("Error banning post", err);
+    res.status(500).json({ error: "Failed to ban post" });
+  }
+});
+
+// ===== PATCH /posts/:id/unban: Reverse a ban (admin only) =====
+// Restores feed membership. Likes, bookmarks and comments were removed at ban time,
+// so engagement counters restart at 0 and the ranked score is recomputed from them.
+app.patch("/posts/:id/unban", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const userRole = req.user.role;
+
+    // Only allow admins to unban posts
+    if (userRole !== 'admin') {
+      return res.status(403).json({ error: "Only admins can unban posts" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch post data
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (!postData || Object.keys(postData).length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (postData.banned !== 'true') {
+      return res.status(400).json({ error: "Post is not banned" });
+    }
+
+    // Don't resurrect posts of deleted accounts
+    const authorData = await trackedRedis.hgetall(`user:${postData.user_id}`);
+    if (!authorData || Object.keys(authorData).length === 0) {
+      return res.status(409).json({ error: "Post author no longer exists" });
+    }
+
+    httpLog.info("Admin unbanning post", { post_id: postId });
+
+    const createdAt = parseInt(postData.created_at);
+    const hashtags = extractHashtags(postData.content);
+
+    const rankingConfig = await getRankingConfig(trackedRedis);
+
+    // Use Redis transaction for atomicity
+    const multi = redis.multi();
+
+    // The counters restart at 0, so the post's engagement leaves the models leaderboard too
+    if (authorData.role === 'model') {
+      multi.zincrby('models:top:engagement', -calculateEngagementPoints(postData, rankingConfig.models), postData.user_id);
+    }
+
+    // Clear ban fields, keep an audit trail of the unban
+    multi.hdel(`post:${postId}`, 'banned', 'banned_at', 'banned_by', 'ban_reason');
+    multi.hset(`post:${postId}`, {
+      unbanned_at: Date.now(),
+      unbanned_by: req.user.username,
+      likesCount: 0,
+      commentsCount: 0,
+      bookmarksCount: 0
+    });
+
+    // Restore explore feed and user's posts (score = original creation time)
+    multi.zadd('explore:feed', createdAt, postId);
+    multi.zadd(`user:${postData.user_id}:posts`, createdAt, postId);
+    if (isInRankingWindow(postData, rankingConfig.trending)) {
+      multi.zadd('trending:posts', 0, postId);
+    }
+    queuePostSearchIndex(multi, postId, postData.content, createdAt);
+    queueMentionIndex(multi, `post:${postId}`, parseMentionsField(postData.mentions), createdAt);
+
+    // Restore hashtag feeds (ranked score recomputed from the reset counters is 0, same as a new post)
+    for (const tag of hashtags) {
+      multi.zadd(`hashtag:${tag}:posts`, createdAt, postId);
+      multi.zadd(`hashtag:${tag}:ranked`, 0, postId);
+    }
+
+    // Restore user's post count
+    multi.hincrby(`user:${postData.user_id}`, 'postCount', 1);
+
+    // Restore followers' home timelines
+    await queuePostFanOut(multi, trackedRedis, postData.user_id, postId, createdAt, authorData.followerCount);
+
+    // Remove from moderation index
+    multi.zrem('moderation:banned', postId);
+
+    await multi.exec();
+
+    // Invalidate post cache
+    invalidateCache({ users: [postData.user_id], posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({ message: "Post unbanned successfully", postId });
+  } catch (err) {
+    httpLog.error("Error unbanning post", err);
+    res.status(500).json({ error: "Failed to unban post" });
+  }
+});
+
+// ===== GET /admin/moderation/banned: List banned posts (admin only) =====
+// Newest bans first; each post carries ban_reason, banned_by and banned_at
+app.get("/admin/moderation/banned", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can view banned posts" });
+    }
+
+    const offset = parseInt(req.query.offset) || 0;
+    let limit = parseInt(req.query.limit) || 20;
+    const includeUser = req.query.includeUser !== 'false';
+
+    if (limit > 100) limit = 100;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    const postIds = await trackedRedis.zrevrange('moderation:banned', offset, offset + limit - 1);
+
+    // No interaction flags needed for moderation (interactions are removed on ban)
+    const posts = await aggregatePostsWithUsers(postIds, requestId, includeUser, null);
+
+    const response = {
+      posts,
+      pagination: {
+        offset,
+        limit,
+        count: posts.length
+      }
+    };
+
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching banned posts", err);
+    res.status(500).json({ error: "Failed to fetch banned posts" });
+  }
+});
+
+// ===== Helper: Record a report against a post or user =====
+// Reports are deduplicated per reporter and ranked in reports:queue by report count.
+// The SADD that records the reporter decides whether the report counts, in the same script as the
+// counters, so concurrent duplicate reports cannot both be counted.
+// KEYS: report hash, reporters set, entries list, reports:queue
+// ARGV: target type, target ID, reporter, reason, entry JSON, timestamp, entries limit
+// Returns 1 if the report was recorded, 0 if the reporter already reported this target.
+redis.defineCommand('submitReport', {
+  numberOfKeys: 4,
+  lua: `
+    if redis.call('SADD', KEYS[2], ARGV[3]) == 0 then
+      return 0
+    end
+    redis.call('HSETNX', KEYS[1], 'target_type', ARGV[1])
+    redis.call('HSETNX', KEYS[1], 'target_id', ARGV[2])
+    redis.call('HSETNX', KEYS[1], 'first_reported_at', ARGV[6])
+    redis.call('HSET', KEYS[1], 'last_reported_at', ARGV[6])
+    redis.call('HINCRBY', KEYS[1], 'count', 1)
+    redis.call('HINCRBY', KEYS[1], 'reason_' .. ARGV[4], 1)
+    redis.call('LPUSH', KEYS[3], ARGV[5])
+    redis.call('LTRIM', KEYS[3], 0, tonumber(ARGV[7]) - 1)
+    redis.call('ZINCRBY', KEYS[4], 1, ARGV[1] .. ':' .. ARGV[2])
+    return 1
+  `
+});
+
+// Returns false if the reporter already reported this target.
+async function submitReport(targetType, targetId, reporterUsername, reason, details) {
+  const reportKey = `report:${targetType}:${targetId}`;
+  const timestamp = Date.now();
+
+  // Individual reports are kept newest first, capped at REPORT_ENTRIES_LIMIT
+  const entry = JSON.stringify({
+    reporter: reporterUsername,
+    reason,
+    details: details || '',
+    created_at: timestamp
+  });
+
+  const recorded = await redis.submitReport(
+    reportKey, `${reportKey}:reporters`, `${reportKey}:entries`, 'reports:queue',
+    targetType, targetId, reporterUsername, reason, entry, timestamp, REPORT_ENTRIES_LIMIT
+  );
+  return recorded === 1;
+}
+
+// ===== Helper: Remove a report and its queue entry =====
+function queueReportDeletion(multi, targetType, targetId) {
+  const reportKey = `report:${targetType}:${targetId}`;
+  multi.zrem('reports:queue', `${targetType}:${targetId}`);
+  multi.del(reportKey);
+  multi.del(`${reportKey}:reporters`);
+  multi.del(`${reportKey}:entries`);
+}
+
+// ===== Helper: Validate report body =====
+// Returns an error message, or null if the body is valid
+function validateReportBody(body) {
+  const { reason, details } = body || {};
+  if (!reason || !REPORT_REASONS.includes(reason)) {
+    return `Invalid reason. Must be one of: ${REPORT_REASONS.join(", ")}`;
+  }
+  if (details !== undefined && (typeof details !== 'string' || details.length > 1000)) {
+    return "Details must be a string of at most 1000 characters";
+  }
+  return null;
+}
+
+// ===== POST /posts/:id/report: Report a post =====
+app.post("/posts/:id/report", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+
+    const validationError = validateReportBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch post owner and ban status
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (!postData || Object.keys(postData).length === 0 || postData.banned === 'true') {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (postData.user_id === username) {
+      return res.status(400).json({ error: "Cannot report your own post" });
+    }
+
+    const reported = await submitReport('post', postId, username, req.body.reason, req.body.details?.trim());
+    if (!reported) {
+      return res.status(400).json({ error: "Post already reported" });
+    }
+
+    res.status(201).json({ message: "Post reported successfully" });
+  } catch (err) {
+    httpLog.error("Error reporting post", err);
+    res.status(500).json({ error: "Failed to report post" });
+  }
+});
+
+// ===== POST /users/:id/report: Report a user account =====
+app.post("/users/:id/report", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const targetUsername = req.params.id;
+    const username = req.user.username;
+
+    if (targetUsername === 'me' || targetUsername === username) {
+      return res.status(400).json({ error: "Cannot report yourself" });
+    }
+
+    const validationError = validateReportBody(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if target user exists
+    const targetUserExists = await trackedRedis.exists(`user:${targetUsername}`);
+    if (targetUserExists === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const reported = await submitReport('user', targetUsername, username, req.body.reason, req.body.details?.trim());
+    if (!reported) {
+      return res.status(400).json({ error: "User already reported" });
+    }
+
+    res.status(201).json({ message: "User reported successfully" });
+  } catch (err) {
+    httpLog.error("Error reporting user", err);
+    res.status(500).json({ error: "Failed to report user" });
+  }
+});
+
+// ===== GET /admin/reports: Moderation queue ordered by report count (admin only) =====
+app.get("/admin/reports", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can view reports" });
+    }
+
+    const offset = parseInt(req.query.offset) || 0;
+    let limit = parseInt(req.query.limit) || 20;
+
+    if (limit > 100) limit = 100;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Queue contains [member1, score1, member2, score2, ...] with member = <type>:<id>
+    const queueEntries = await trackedRedis.zrevrange('reports:queue', offset, offset + limit - 1, 'WITHSCORES');
+
+    const targets = [];
+    for (let i = 0; i < queueEntries.length; i += 2) {
+      const member = queueEntries[i];
+      const separatorIndex = member.indexOf(':');
+      targets.push({
+        type: member.substring(0, separatorIndex),
+        id: member.substring(separatorIndex + 1),
+        count: parseInt(queueEntries[i + 1])
+      });
+    }
+
+    const reports = [];
+    if (targets.length > 0) {
+      // Fetch report summary, latest entries and the reported post/user in one pipeline
+      const pipeline = trackedRedis.pipeline();
+      for (const target of targets) {
+        const reportKey = `report:${target.type}:${target.id}`;
+        pipeline.hgetall(reportKey);
+        pipeline.lrange(`${reportKey}:entries`, 0, 4);
+        pipeline.hgetall(`${target.type}:${target.id}`);
+      }
+      const results = await pipeline.exec();
+
+      for (let i = 0; i < targets.length; i++) {
+        const target = targets[i];
+        const [, summary] = results[i * 3];
+        const [, entries] = results[i * 3 + 1];
+        const [, targetData] = results[i * 3 + 2];
+
+        const reasons = {};
+        for (const [field, value] of Object.entries(summary || {})) {
+          if (field.startsWith('reason_')) {
+            reasons[field.substring('reason_'.length)] = parseInt(value);
+          }
+        }
+
+        const targetExists = targetData && Object.keys(targetData).length > 0;
+        let target_data = null;
+        if (targetExists) {
+          // PRIVACY: Reported users are sanitized like in search results
+          target_data = target.type === 'user' ? sanitizeUserData(targetData, target.id, null) : targetData;
+        }
+
+        reports.push({
+          type: target.type,
+          target_id: target.id,
+          count: target.count,
+          reasons,
+          first_reported_at: summary?.first_reported_at ? parseInt(summary.first_reported_at) : null,
+          last_reported_at: summary?.last_reported_at ? parseInt(summary.last_reported_at) : null,
+          recent: (entries || []).map(entry => JSON.parse(entry)),
+          target: target_data
+        });
+      }
+    }
+
+    const response = {
+      reports,
+      pagination: {
+        offset,
+        limit,
+        count: reports.length
+      }
+    };
+
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching reports", err);
+    res.status(500).json({ error: "Failed to fetch reports" });
+  }
+});
+
+// ===== POST /admin/reports/:type/:id/resolve: Resolve a report (admin only) =====
+// Actions: 'dismiss' (posts and users) or 'ban' (posts only, uses the PATCH /posts/:id/ban logic)
+app.post("/admin/reports/:type/:id/resolve", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const { type: targetType, id: targetId } = req.params;
+    const { action, reason } = req.body;
+
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can resolve reports" });
+    }
+
+    if (!['post', 'user'].includes(targetType)) {
+      return res.status(400).json({ error: "Invalid report type. Must be 'post' or 'user'" });
+    }
+
+    const validActions = targetType === 'post' ? ['dismiss', 'ban'] : ['dismiss'];
+    if (!validActions.includes(action)) {
+      return res.status(400).json({ error: `Invalid action. Must be one of: ${validActions.join(", ")}` });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: "Reason must be a string of at most 500 characters" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    const summary = await trackedRedis.hgetall(`report:${targetType}:${targetId}`);
+    if (!summary || Object.keys(summary).length === 0) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    if (action === 'ban') {
+      const postData = await trackedRedis.hgetall(`post:${targetId}`);
+      if (!postData || Object.keys(postData).length === 0) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      // Reuse the ban logic unless a moderator already banned the post
+      if (postData.banned !== 'true') {
+        httpLog.info("Admin banning reported post", { post_id: targetId });
+        await banPost(trackedRedis, targetId, postData, req.user.username, reason || 'Reported by users');
+      }
+    }
+
+    const multi = redis.multi();
+
+    // Keep an audit trail of resolutions (newest first, capped)
+    multi.lpush('reports:resolved', JSON.stringify({
+      type: targetType,
+      target_id: targetId,
+      action,
+      count: parseInt(summary.count || 0),
+      resolved_by: req.user.username,
+      resolved_at: Date.now()
+    }));
+    multi.ltrim('reports:resolved', 0, 999);
+
+    queueReportDeletion(multi, targetType, targetId);
+
+    await multi.exec();
+
+    res.json({ message: "Report resolved successfully", type: targetType, target_id: targetId, action });
+  } catch (err) {
+    httpLog.error("Error resolving report", err);
+    res.status(500).json({ error: "Failed to resolve report" });
+  }
+});
+
+// ===== POST /posts/:id/like: Like a post =====
+app.post("/posts/:id/like", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if post exists
+    const postExists = await trackedRedis.exists(`post:${postId}`);
+    if (postExists === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Check if already liked
+    const alreadyLiked = await trackedRedis.sismember(`post:${postId}:likes`, username);
+    if (alreadyLiked) {
+      return res.status(400).json({ error: "Post already liked" });
+    }
+
+    // Get post data for ranking updates
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (postData.banned === 'true') {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Private accounts' posts only exist for their followers
+    if (await isHiddenPrivateAuthor(trackedRedis, req.user, postData.user_id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Blocked users cannot interact with each other's posts
+    if (await isBlockedBetween(trackedRedis, username, postData.user_id)) {
+      return res.status(403).json({ error: "Cannot interact with this user's posts" });
+    }
+
+    // Use Redis transaction
+    const multi = redis.multi();
+
+    // Add user to likes set
+    multi.sadd(`post:${postId}:likes`, username);
+
+    // Increment likes count
+    multi.hincrby(`post:${postId}`, 'likesCount', 1);
+
+    // Update ranked feeds, trending hashtags and models:top:engagement
+    await queueEngagementChange(multi, trackedRedis, postId, postData, { likesCount: 1 });
+
+    // Notify the post owner
+    const queuedNotifications = await queueNotifications(multi, trackedRedis, [postData.user_id], { type: 'like', actor: username, post_id: postId });
+
+    await multi.exec();
+    publishNotifications(queuedNotifications);
+    publishPostCounts(postId);
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({ message: "Post liked successfully" });
+  } catch (err) {
+    httpLog.error("Error liking post", err);
+    res.status(500).json({ error: "Failed to like post" });
+  }
+});
+
+// ===== DELETE /posts/:id/like: Unlike a post =====
+app.delete("/posts/:id/like", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if post exists
+    const postExists = await trackedRedis.exists(`post:${postId}`);
+    if (postExists === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Check if liked
+    const isLiked = await trackedRedis.sismember(`post:${postId}:likes`, username);
+    if (!isLiked) {
+      return res.status(400).json({ error: "Post not liked" });
+    }
+
+    // Get post data for ranking updates
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    // Use Redis transaction
+    const multi = redis.multi();
+
+    // Remove user from likes set
+    multi.srem(`post:${postId}:likes`, username);
+
+    // Decrement likes count
+    multi.hincrby(`post:${postId}`, 'likesCount', -1);
+
+    // Update ranked feeds, trending hashtags and models:top:engagement
+    await queueEngagementChange(multi, trackedRedis, postId, postData, { likesCount: -1 });
+
+    await multi.exec();
+    publishPostCounts(postId);
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({ message: "Post unliked successfully" });
+  } catch (err) {
+    httpLog.error("Error unliking post", err);
+    res.status(500).json({ error: "Failed to unlike post" });
+  }
+});
+
+// ===== POST /posts/:id/bookmark: Bookmark a post =====
+app.post("/posts/:id/bookmark", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if post exists
+    const postExists = await trackedRedis.exists(`post:${postId}`);
+    if (postExists === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Check if already bookmarked
+    const alreadyBookmarked = await trackedRedis.sismember(`post:${postId}:bookmarks`, username);
+    if (alreadyBookmarked) {
+      return res.status(400).json({ error: "Post already bookmarked" });
+    }
+
+    // Get post data for ranking updates
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+    const timestamp = Date.now();
+
+    if (postData.banned === 'true') {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Private accounts' posts only exist for their followers
+    if (await isHiddenPrivateAuthor(trackedRedis, req.user, postData.user_id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Blocked users cannot interact with each other's posts
+    if (await isBlockedBetween(trackedRedis, username, postData.user_id)) {
+      return res.status(403).json({ error: "Cannot interact with this user's posts" });
+    }
+
+    // Use Redis transaction
+    const multi = redis.multi();
+
+    // Add user to bookmarks set
+    multi.sadd(`post:${postId}:bookmarks`, username);
+
+    // Add to user's bookmarked sorted set
+    multi.zadd(`user:${username}:bookmarked`, timestamp, postId);
+
+    // Increment bookmarks count
+    multi.hincrby(`post:${postId}`, 'bookmarksCount', 1);
+
+    // Update ranked feeds, trending hashtags and models:top:engagement
+    await queueEngagementChange(multi, trackedRedis, postId, postData, { bookmarksCount: 1 });
+
+    // Notify the post owner
+    const queuedNotifications = await queueNotifications(multi, trackedRedis, [postData.user_id], { type: 'bookmark', actor: username, post_id: postId });
+
+    await multi.exec();
+    publishNotifications(queuedNotifications);
+    publishPostCounts(postId);
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({ message: "Post bookmarked successfully" });
+  } catch (err) {
+    httpLog.error("Error bookmarking post", err);
+    res.status(500).json({ error: "Failed to bookmark post" });
+  }
+});
+
+// ===== DELETE /posts/:id/bookmark: Remove bookmark from a post =====
+app.delete("/posts/:id/bookmark", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if post exists
+    const postExists = await trackedRedis.exists(`post:${postId}`);
+    if (postExists === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Check if bookmarked
+    const isBookmarked = await trackedRedis.sismember(`post:${postId}:bookmarks`, username);
+    if (!isBookmarked) {
+      return res.status(400).json({ error: "Post not bookmarked" });
+    }
+
+    // Get post data for ranking updates
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    // Use Redis transaction
+    const multi = redis.multi();
+
+    // Remove user from bookmarks set
+    multi.srem(`post:${postId}:bookmarks`, username);
+
+    // Remove from user's bookmarked sorted set
+    multi.zrem(`user:${username}:bookmarked`, postId);
+
+    // Decrement bookmarks count
+    multi.hincrby(`post:${postId}`, 'bookmarksCount', -1);
+
+    // Update ranked feeds, trending hashtags and models:top:engagement
+    await queueEngagementChange(multi, trackedRedis, postId, postData, { bookmarksCount: -1 });
+
+    await multi.exec();
+    publishPostCounts(postId);
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({ message: "Bookmark removed successfully" });
+  } catch (err) {
+    httpLog.error("Error removing bookmark", err);
+    res.status(500).json({ error: "Failed to remove bookmark" });
+  }
+});
+
+// ===== POST /posts/:id/comments: Comment on a post or reply to a comment =====
+// Pass parent_id in the body to reply to an existing comment on the same post
+app.post("/posts/:id/comments", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const username = req.user.username;
+    const { content, parent_id } = req.body;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: "Content is required" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch post data (needed for ranking updates)
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (!postData || Object.keys(postData).length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (postData.banned === 'true') {
+      return res.status(403).json({ error: "Cannot comment on a banned post" });
+    }
+
+    // Private accounts' posts only exist for their followers
+    if (await isHiddenPrivateAuthor(trackedRedis, req.user, postData.user_id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Blocked users cannot interact with each other's posts
+    if (await isBlockedBetween(trackedRedis, username, postData.user_id)) {
+      return res.status(403).json({ error: "Cannot interact with this user's posts" });
+    }
+
+    // Replies must target a comment on the same post
+    let parentAuthor = null;
+    if (parent_id) {
+      const parentComment = await trackedRedis.hgetall(`comment:${parent_id}`);
+      if (parentComment.post_id !== postId) {
+        return res.status(404).json({ error: "Parent comment not found" });
+      }
+      parentAuthor = parentComment.user_id;
+    }
+
+    // Fetch user data for denormalization
+    const userData = await trackedRedis.hgetall(`user:${username}`);
+
+    if (!userData || Object.keys(userData).length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Only mentions of existing users are stored and indexed
+    const mentions = await resolveMentions(trackedRedis, content, username);
+
+    const commentId = randomUUID();
+    const timestamp = Date.now();
+
+    // Build comment data with denormalized user info (same fields as posts)
+    const commentData = {
+      id: commentId,
+      post_id: postId,
+      parent_id: parent_id || '',
+      user_id: username,
+      username: userData.username || '',
+      avatar: userData.avatar || '',
+      display_name: userData.display_name || userData.username || '',
+      user_role: userData.role || 'user',
+      content: content.trim(),
+      mentions: mentions.join(','),
+      created_at: timestamp,
+      repliesCount: 0
+    };
+
+    // Use Redis transaction for atomicity
+    const multi = redis.multi();
+
+    // Store comment hash
+    multi.hset(`comment:${commentId}`, commentData);
+
+    // Attach to parent comment (reply) or to the post (top-level comment)
+    if (parent_id) {
+      multi.zadd(`comment:${parent_id}:replies`, timestamp, commentId);
+      multi.hincrby(`comment:${parent_id}`, 'repliesCount', 1);
+    } else {
+      multi.zadd(`post:${postId}:comments`, timestamp, commentId);
+    }
+
+    // Index comment under its author (used for denormalization updates)
+    multi.zadd(`user:${username}:comments`, timestamp, commentId);
+
+    // Index under each mentioned user
+    queueMentionIndex(multi, `comment:${commentId}`, mentions, timestamp);
+
+    // Increment comments count (counts replies too)
+    multi.hincrby(`post:${postId}`, 'commentsCount', 1);
+
+    // Update ranked feeds, trending hashtags and models:top:engagement
+    await queueEngagementChange(multi, trackedRedis, postId, postData, { commentsCount: 1 });
+
+    // Notify the parent comment's author, the post owner and mentioned users (one notification each)
+    const notifyEvent = { actor: username, post_id: postId, comment_id: commentId };
+    const replyRecipients = parentAuthor ? [parentAuthor] : [];
+    const commentRecipients = [postData.user_id].filter(recipient => !replyRecipients.includes(recipient));
+    const mentionRecipients = mentions.filter(recipient => !replyRecipients.includes(recipient) && !commentRecipients.includes(recipient));
+    const queuedNotifications = [
+      ...await queueNotifications(multi, trackedRedis, replyRecipients, { ...notifyEvent, type: 'reply' }),
+      ...await queueNotifications(multi, trackedRedis, commentRecipients, { ...notifyEvent, type: 'comment' }),
+      ...await queueNotifications(multi, trackedRedis, mentionRecipients, { ...notifyEvent, type: 'mention' })
+    ];
+
+    await multi.exec();
+    publishNotifications(queuedNotifications);
+    publishPostCounts(postId);
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.status(201).json({ comment: commentData });
+  } catch (err) {
+    httpLog.error("Error creating comment", err);
+    res.status(500).json({ error: "Failed to create comment" });
+  }
+});
+
+// ===== GET /posts/:id/comments: List comments on a post (oldest first) =====
+// Pass parent_id as a query parameter to list replies to a specific comment
+app.get("/posts/:id/comments", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const parentId = req.query.parent_id || null;
+    const offset = parseInt(req.query.offset) || 0;
+    let limit = parseInt(req.query.limit) || 20;
+
+    if (limit > 100) limit = 100;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if post exists and is visible before serving cached comments
+    // (banned posts are only visible to admins, private accounts' posts to their followers)
+    const postAuthor = await trackedRedis.hget(`post:${postId}`, 'user_id');
+    const isBanned = postAuthor ? await trackedRedis.hget(`post:${postId}`, 'banned') : null;
+    if (!postAuthor || (isBanned === 'true' && req.user.role !== 'admin') ||
+        await isHiddenPrivateAuthor(trackedRedis, req.user, postAuthor)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const cacheKey = `post_comments_${postId}_${parentId || 'root'}_${offset}_${limit}`;
+
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
+    }
+
+    // Replies are read from the parent comment, top-level comments from the post
+    let listKey = `post:${postId}:comments`;
+    if (parentId) {
+      const parentPostId = await trackedRedis.hget(`comment:${parentId}`, 'post_id');
+      if (parentPostId !== postId) {
+        return res.status(404).json({ error: "Parent comment not found" });
+      }
+      listKey = `comment:${parentId}:replies`;
+    }
+
+    const commentIds = await trackedRedis.zrange(listKey, offset, offset + limit - 1);
+
+    const comments = [];
+    if (commentIds.length > 0) {
+      const pipeline = trackedRedis.pipeline();
+      for (const commentId of commentIds) {
+        pipeline.hgetall(`comment:${commentId}`);
+      }
+      const results = await pipeline.exec();
+
+      for (let i = 0; i < commentIds.length; i++) {
+        const [err, commentData] = results[i];
+        if (err || !commentData || Object.keys(commentData).length === 0) continue;
+        comments.push(commentData);
+      }
+    }
+
+    const response = {
+      comments,
+      pagination: {
+        offset,
+        limit,
+        count: comments.length
+      }
+    };
+
+    setCache(cacheKey, response, 30);
+
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching comments", err);
+    res.status(500).json({ error: "Failed to fetch comments" });
+  }
+});
+
+// ===== DELETE /posts/:id/comments/:commentId: Delete a comment and its replies =====
+// NOTE: Comment author, post owner or admin (including API key) may delete
+app.delete("/posts/:id/comments/:commentId", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const postId = req.params.id;
+    const commentId = req.params.commentId;
+    const username = req.user.username;
+    const userRole = req.user.role;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch comment data
+    const commentData = await trackedRedis.hgetall(`comment:${commentId}`);
+
+    if (!commentData || Object.keys(commentData).length === 0 || commentData.post_id !== postId) {
+      return res.status(404).json({ error: "Comment not found" });
+    }
+
+    // Fetch post data (needed for authorization and ranking updates)
+    const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+    if (!postData || Object.keys(postData).length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Check authorization (comment author, post owner or admin)
+    if (commentData.user_id !== username && postData.user_id !== username && userRole !== 'admin') {
+      return res.status(403).json({ error: "Not authorized to delete this comment" });
+    }
+
+    // Use Redis transaction for atomicity
+    const multi = redis.multi();
+
+    // Delete the comment and all nested replies
+    const deletedIds = await queueCommentTreeDeletion(multi, trackedRedis, [commentId]);
+    const deletedCount = deletedIds.length;
+
+    // Detach from parent comment or post
+    if (commentData.parent_id) {
+      multi.zrem(`comment:${commentData.parent_id}:replies`, commentId);
+      multi.hincrby(`comment:${commentData.parent_id}`, 'repliesCount', -1);
+    } else {
+      multi.zrem(`post:${postId}:comments`, commentId);
+    }
+
+    // Decrement comments count by the number of removed comments
+    multi.hincrby(`post:${postId}`, 'commentsCount', -deletedCount);
+
+    // Update ranked feeds, trending hashtags and models:top:engagement
+    await queueEngagementChange(multi, trackedRedis, postId, postData, { commentsCount: -deletedCount });
+
+    await multi.exec();
+    publishPostCounts(postId);
+
+    // Invalidate post cache
+    invalidateCache({ posts: [postId] });
+    invalidateFeedCaches();
+
+    res.json({ message: "Comment deleted successfully", commentsDeleted: deletedCount });
+  } catch (err) {
+    httpLog.error("Error deleting comment", err);
+    res.status(500).json({ error: "Failed to delete comment" });
+  }
+});
+
+// ===== GET /users/:id/posts: Get a user's posts (profile timeline) =====
+// Supports 'me' as :id parameter. Pass media=true to only return posts with media_url.
+app.get("/users/:id/posts", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    let username = req.params.id;
+    const authenticatedUsername = req.user.username;
+
+    // Resolve 'me' placeholder to authenticated username
+    if (username === 'me') {
+      username = authenticatedUsername;
+    }
+
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    const includeUser = req.query.includeUser !== 'false'; // default true
+    const mediaOnly = req.query.media === 'true';
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if user exists
+    const profileData = await trackedRedis.hgetall(`user:${username}`);
+    if (!profileData || Object.keys(profileData).length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (username !== authenticatedUsername && req.user.role !== 'admin') {
+      // Blocked users cannot see each other's posts
+      if (await isBlockedBetween(trackedRedis, authenticatedUsername, username)) {
+        return res.status(403).json({ error: "Cannot view this user's posts" });
+      }
+
+      // Private accounts only show posts to followers
+      if (profileData.is_private === 'true') {
+        const isFollower = await trackedRedis.sismember(`user:${username}:followers`, authenticatedUsername);
+        if (!isFollower) {
+          return res.status(403).json({ error: "This account is private" });
+        }
+      }
+    }
+
+    // Interaction flags are viewer-specific, so the cache is per viewer
+    const cacheKey = `user_posts_${username}_${authenticatedUsername}_${page.position}_${page.limit}_${includeUser}_${mediaOnly}`;
+
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
+    }
+
+    cacheLog.debug("Cache miss", { key: cacheKey });
+
+    // Fetch buffered batches of post IDs to account for missing posts and the media filter
+    // Access was checked above, so no authors are hidden (muting does not apply on profiles)
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, `user:${username}:posts`, page, async postIds => {
+      const aggregated = await aggregatePostsWithUsers(postIds, requestId, includeUser, authenticatedUsername, new Set());
+      return mediaOnly ? aggregated.filter(item => item.post.media_url) : aggregated;
+    });
+
+    const response = {
+      posts,
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
+    };
+
+    // Cache the result for 30 seconds
+    setCache(cacheKey, response, 30);
+
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching user posts", err);
+    res.status(500).json({ error: "Failed to fetch user posts" });
+  }
+});
+
+// ===== GET /users/:id/bookmarked: Get user's bookmarked posts =====
+// Supports 'me' as :id parameter to fetch own bookmarks
+app.get("/users/:id/bookmarked", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    let username = req.params.id;
+    const authenticatedUsername = req.user.username;
+
+    // Resolve 'me' placeholder to authenticated username
+    if (username === 'me') {
+      username = authenticatedUsername;
+    }
+
+    // Only allow users to view their own bookmarks
+    if (username !== authenticatedUsername) {
+      return res.status(403).json({ error: "Not authorized to view bookmarks" });
+    }
+
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
+    const includeUser = req.query.includeUser !== 'false';
+
+    const cacheKey = `bookmarked_${username}_${page.position}_${page.limit}_${includeUser}`;
+
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch bookmarked posts with pagination (cursor scores are bookmark timestamps)
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, `user:${username}:bookmarked`, page, postIds =>
+      aggregatePostsWithUsers(postIds, requestId, includeUser, authenticatedUsername)
+    );
+
+    const response = {
+      posts,
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
+    };
+
+    setCache(cacheKey, response, 30);
+
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching bookmarked posts", err);
+    res.status(500).json({ error: "Failed to fetch bookmarked posts" });
+  }
+});
+
+// ===== POST /users/:id/follow: Follow a user =====
+// Supports 'me' as :id parameter (will fail with appropriate error since you cannot follow yourself)
+app.post("/users/:id/follow", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    let targetUsername = req.params.id;
+    const username = req.user.username;
+
+    // Resolve 'me' placeholder to authenticated username (will fail self-follow check)
+    if (targetUsername === 'me') {
+      targetUsername = username;
+    }
+
+    if (targetUsername === username) {
+      return res.status(400).json({ error: "Cannot follow yourself" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if target user exists
+    const targetUserExists = await trackedRedis.exists(`user:${targetUsername}`);
+    if (targetUserExists === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Blocked users cannot follow each other
+    if (await isBlockedBetween(trackedRedis, username, targetUsername)) {
+      return res.status(403).json({ error: "Cannot follow this user" });
+    }
+
+    // Check if already following
+    const alreadyFollowing = await trackedRedis.sismember(`user:${username}:following`, targetUsername);
+    if (alreadyFollowing) {
+      return res.status(400).json({ error: "Already following this user" });
+    }
+
+    // Private accounts must approve followers: store a pending request instead
+    const isPrivate = await trackedRedis.hget(`user:${targetUsername}`, 'is_private');
+    if (isPrivate === 'true') {
+      const pendingSince = await trackedRedis.zscore(`user:${targetUsername}:follow_requests`, username);
+      if (pendingSince !== null) {
+        return res.status(400).json({ error: "Follow request already pending" });
+      }
+
+      const requestMulti = redis.multi();
+      requestMulti.zadd(`user:${targetUsername}:follow_requests`, Date.now(), username);
+      requestMulti.sadd(`user:${username}:follow_requests_sent`, targetUsername);
+      const queuedNotifications = await queueNotifications(requestMulti, trackedRedis, [targetUsername], { type: 'follow_request', actor: username });
+      await requestMulti.exec();
+      publishNotifications(queuedNotifications);
+
+      return res.status(202).json({ message: "Follow request sent", status: "pending" });
+    }
+
+    // Use Redis transaction
+    const multi = redis.multi();
+
+    // Add to following set
+    multi.sadd(`user:${username}:following`, targetUsername);
+
+    // Add to target's followers set
+    multi.sadd(`user:${targetUsername}:followers`, username);
+
+    // Increment counts
+    multi.hincrby(`user:${username}`, 'followingCount', 1);
+    multi.hincrby(`user:${targetUsername}`, 'followerCount', 1);
+
+    // Backfill the target's recent posts into the home timeline
+    await queueTimelineBackfill(multi, trackedRedis, [username], targetUsername);
+
+    const queuedNotifications = await queueNotifications(multi, trackedRedis, [targetUsername], { type: 'follow', actor: username });
+
+    await multi.exec();
+    publishNotifications(queuedNotifications);
+
+    // Invalidate relevant caches
+    invalidateCache({
+      keys: [`user_profile_${username}_${username}`, `user_profile_${targetUsername}_${targetUsername}`],
+      users: [username, targetUsername]
+    });
+    invalidateFeedCaches();
+
+    res.json({ message: "User followed successfully", status: "following" });
+  } catch (err) {
+    httpLog.error("Error following user", err);
+    res.status(500).json({ error: "Failed to follow user" });
+  }
+});
+
+// ===== DELETE /users/:id/follow: Unfollow a user =====
+// Supports 'me' as :id parameter (will fail with appropriate error since you cannot unfollow yourself)
+app.delete("/users/:id/follow", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    let targetUsername = req.params.id;
+    const username = req.user.username;
+
+    // Resolve 'me' placeholder to authenticated username (will fail self-unfollow check)
+    if (targetUsername === 'me') {
+      targetUsername = username;
+    }
+
+    if (targetUsername === username) {
+      return res.status(400).json({ error: "Cannot unfollow yourself" });
+    }
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Check if following
+    const isFollowing = await trackedRedis.sismember(`user:${username}:following`, targetUsername);
+    if (!isFollowing) {
+      // Not following yet: cancel a pending follow request instead
+      const pendingSince = await trackedRedis.zscore(`user:${targetUsername}:follow_requests`, username);
+      if (pendingSince === null) {
+        return res.status(400).json({ error: "Not following this user" });
+      }
+
+      const cancelMulti = redis.multi();
+      cancelMulti.zrem(`user:${targetUsername}:follow_requests`, username);
+      cancelMulti.srem(`user:${username}:follow_requests_sent`, targetUsername);
+      await cancelMulti.exec();
+
+      return res.json({ message: "Follow request cancelled" });
     }
 
+    // Use Redis transaction
+    const multi = redis.multi();
+
+    // Remove from following set
+    multi.srem(`user:${username}:following`, targetUsername);
+
+    // Remove from target's followers set
+    multi.srem(`user:${targetUsername}:followers`, username);
+
+    // Decrement counts
+    multi.hincrby(`user:${username}`, 'followingCount', -1);
+    multi.hincrby(`user:${targetUsername}`, 'followerCount', -1);
+
+    // Remove the target's posts from the home timeline
+    await queueTimelineUnfollow(multi, trackedRedis, username, targetUsername);
+
+    await multi.exec();
+
+    // Invalidate relevant caches
+    // Private account posts are no longer visible
+    invalidateCache({
+      keys: [`user_profile_${username}_${username}`, `user_profile_${targetUsername}_${targetUsername}`, `hidden_authors_${username}`],
+      users: [username, targetUsername]
+    });
+    invalidateFeedCaches();
+
+    res.json({ message: "User unfollowed successfully" });
+  } catch (err) {
+    httpLog.error("Error unfollowing user", err);
+    res.status(500).json({ error: "Failed to unfollow user" });
+  }
+});
+
+// ===== GET /users/:id/followers and /users/:id/following: Follow lists =====
+// Supports 'me' as :id parameter. Sets are paginated with SSCAN, so `cursor` is opaque and
+// `limit` is a hint: a page can contain slightly more or fewer users. next_cursor is null on the last page.
+function createFollowListHandler(relation) {
+  const route = `/users/:id/${relation}`;
+
+  return async (req, res) => {
+    const requestId = getRequestId();
+
     try {
-      // Replace user:me placeholder in key positions (API key only, resolves to user:xano_sync)
-      // Note: Since only API key reaches this point, placeholder support is minimal
-      // Multi-key commands that accept multiple keys as arguments
-      const multiKeyCommands = ["MGET", "DEL", "EXISTS", "TOUCH", "UNLINK", "SUNION", "SINTER", "SDIFF", "ZUNION", "ZINTER", "ZDIFF"];
+      let username = req.params.id;
+      const authenticatedUsername = req.user.username;
 
-      const argsProcessed = args.map((a, index) => {
-        if (typeof a !== "string") {
-          return a;
-        }
+      // Resolve 'me' placeholder to authenticated username
+      if (username === 'me') {
+        username = authenticatedUsername;
+      }
 
-        // For multi-key commands, apply replacement to all string arguments (they're all keys)
-        if (multiKeyCommands.includes(cmd)) {
-          return a.replace(/^user:me(?=$|:)/, `user:${tokenUsername}`);
-        }
+      const cursor = req.query.cursor || '0';
+      let limit = parseInt(req.query.limit) || 20;
 
-        // For single-key commands, only replace the first argument (the key)
-        if (index === 0) {
-          return a.replace(/^user:me(?=$|:)/, `user:${tokenUsername}`);
-        }
+      if (limit > 100) limit = 100;
 
-        return a;
-      });
+      // Cursor: "<SSCAN cursor>" or "<SSCAN cursor>-<members of that batch already returned>"
+      const cursorMatch = cursor.match(/^(\d+)(?:-(\d+))?$/);
+      if (!cursorMatch) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
 
-      // Restrict user:<username>:following access
-      if (
-        argsProcessed.length > 0 &&
-        typeof argsProcessed[0] === "string" &&
-        /^user:[^:]+:following$/.test(argsProcessed[0])
-      ) {
-        const usernameInKey = argsProcessed[0].split(":")[1];
-        if (usernameInKey !== tokenUsername) {
-          results.push("ERR forbidden: private resource");
-          continue;
+      const trackedRedis = createTrackedRedis(requestId);
+
+      // Check if user exists
+      const profileData = await trackedRedis.hgetall(`user:${username}`);
+      if (!profileData || Object.keys(profileData).length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      // Private accounts only show their lists to themselves, their followers and admins
+      if (profileData.is_private === 'true' && username !== authenticatedUsername && req.user.role !== 'admin') {
+        const isFollower = await trackedRedis.sismember(`user:${username}:followers`, authenticatedUsername);
+        if (!isFollower) {
+          return res.status(403).json({ error: "This account is private" });
         }
       }
 
-      // Note: API key authentication allows reading any user data for backend sync operations
-      // Validation of key formats is still performed below
+      // Scan the set until we have a page of usernames or reach the end. COUNT is only a hint (small
+      // sets come back whole), so a batch can hold more than a page: the cursor then records how many
+      // of its members were already returned, and the next page rescans that batch and skips them.
+      const uniqueUsernames = [];
+      const seen = new Set();
+      let scanCursor = cursorMatch[1];
+      let skip = parseInt(cursorMatch[2] || '0');
+      let nextCursor = null;
+      while (true) {
+        const [batchNextCursor, members] = await trackedRedis.sscan(`user:${username}:${relation}`, scanCursor, 'COUNT', limit);
+
+        let index = skip;
+        for (; index < members.length && uniqueUsernames.length < limit; index++) {
+          // SSCAN may return a member more than once
+          if (seen.has(members[index])) continue;
+          seen.add(members[index]);
+          uniqueUsernames.push(members[index]);
+        }
 
-      // Block sensitive keys like otp:* and session*
-      if (
-        argsProcessed.length > 0 &&
-        typeof argsProcessed[0] === "string"
-      ) {
-        const key = argsProcessed[0];
-        if (/^otp:[\w-]+$/.test(key) || /^session[\w-]+$/.test(key)) {
-          results.push("ERR forbidden: private key");
-          continue;
+        if (index < members.length) {
+          nextCursor = `${scanCursor}-${index}`;
+          break;
+        }
+        if (batchNextCursor === '0') break;
+
+        scanCursor = batchNextCursor;
+        skip = 0;
+        if (uniqueUsernames.length >= limit) {
+          nextCursor = batchNextCursor;
+          break;
         }
       }
 
-      // Console logging for debug
-      console.log("=== Redis Request (API Key) ===");
-      console.log("Username:", req.user.username);
-      console.log("Command:", cmdRaw);
-      console.log("Original args:", args);
-      console.log("Resolved args:", argsProcessed);
+      const users = [];
+      if (uniqueUsernames.length > 0) {
+        // Fetch profiles and relationship to the viewer in one pipeline
+        const pipeline = trackedRedis.pipeline();
+        for (const listedUsername of uniqueUsernames) {
+          pipeline.hgetall(`user:${listedUsername}`);
+          pipeline.sismember(`user:${authenticatedUsername}:following`, listedUsername);
+          pipeline.sismember(`user:${authenticatedUsername}:followers`, listedUsername);
+        }
+        const results = await pipeline.exec();
 
-      const result = await redis[cmd.toLowerCase()](...argsProcessed);
+        for (let i = 0; i < uniqueUsernames.length; i++) {
+          const listedUsername = uniqueUsernames[i];
+          const [, userData] = results[i * 3];
+          const [, isFollowing] = results[i * 3 + 1];
+          const [, followsYou] = results[i * 3 + 2];
 
-      console.log("Redis result:", result);
-      console.log("=====================");
+          if (!userData || Object.keys(userData).length === 0) continue;
 
-      results.push(result);
+          // PRIVACY: Sanitize listed profiles (own profile keeps all fields)
+          users.push({
+            ...sanitizeUserData(userData, listedUsername, authenticatedUsername),
+            isFollowing: isFollowing === 1,
+            followsYou: followsYou === 1
+          });
+        }
+      }
+
+      const response = {
+        users,
+        pagination: {
+          cursor,
+          next_cursor: nextCursor,
+          limit,
+          count: users.length
+        }
+      };
+
+      res.json(response);
     } catch (err) {
-      console.error("Redis error:", err);
-      results.push(`ERR ${err.message}`);
+      httpLog.error("Error fetching follow list", { relation, err });
+      res.status(500).json({ error: `Failed to fetch ${relation}` });
     }
-  }
+  };
+}
 
-  res.json(results);
-});
+app.get("/users/:id/followers", createFollowListHandler('followers'));
+app.get("/users/:id/following", createFollowListHandler('following'));
 
-// ===== POST /redis/write: Write-enabled Redis proxy (API key only) =====
-// Frontend clients should use REST endpoints for writes
-app.post("/redis/write", async (req, res) => {
+// ===== GET /users/me/follow-requests: Pending follow requests =====
+// Lists users waiting for approval to follow the authenticated (private) account, newest first
+app.get("/users/me/follow-requests", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const tokenUsername = req.user.username;
-    const isApiKeyAuth = req.user.isApiKey === true;
-    const commands = req.body;
+    const username = req.user.username;
+    const offset = parseInt(req.query.offset) || 0;
+    let limit = parseInt(req.query.limit) || 20;
 
-    // Normalize single command array to array of commands for Upstash-style compatibility
-    // Supports both formats:
-    // - Single command: ["HSET", "user:123", "email", "test@example.com"]
-    // - Array of commands: [["HSET", "user:123", "email", "test@example.com"], ["HDEL", "user:123", "tmpField"]]
-    let commandsNormalized;
-    if (Array.isArray(commands) && commands.length > 0 && typeof commands[0] === 'string') {
-      commandsNormalized = [commands];
-    } else {
-      commandsNormalized = commands;
-    }
+    if (limit > 100) limit = 100;
 
-    if (!Array.isArray(commandsNormalized) || commandsNormalized.length === 0) {
-      return res.status(400).json({ error: "Request body must be a non-empty array of commands" });
-    }
+    const trackedRedis = createTrackedRedis(requestId);
 
-    // SECURITY: Restrict Redis write proxy to API key authentication only
-    // Frontend clients must use REST endpoints for proper authorization and validation
-    if (!isApiKeyAuth) {
-      return res.status(403).json({
-        error: "Redis write proxy requires API key authentication",
-        message: "Frontend clients should use REST endpoints like PATCH /users/:id instead",
-        availableEndpoints: [
-          "PATCH /users/:id - Update user profile",
-          "POST /posts - Create post",
-          "POST /posts/:id/like - Like post",
-          "POST /posts/:id/bookmark - Bookmark post",
-          "POST /users/:username/follow - Follow user"
-        ],
-        documentation: "See docs/FRONTEND_GUIDE.md for frontend integration"
-      });
-    }
+    const entries = await trackedRedis.zrevrange(`user:${username}:follow_requests`, offset, offset + limit - 1, 'WITHSCORES');
 
-    // Whitelist of allowed write commands
-    const allowedWriteCommands = ["HSET", "HDEL", "HINCRBY"];
+    const requesters = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      requesters.push({ username: entries[i], requested_at: parseInt(entries[i + 1]) });
+    }
 
-    // FIELD RESTRICTIONS: Certain fields require denormalization or are system-managed
-    // Blocked fields that require PATCH /users/:id (denormalization):
-    // - username, display_name, avatar (must update all user's posts)
-    // System-managed fields (auto-calculated):
-    // - role, postCount, followerCount, followingCount
-    // Allowed fields:
-    // - bio, links, and any custom fields
-    // - Sensitive fields (email, phone, etc.) can be updated
-    const blockedFields = [
-      "username", "display_name", "avatar",  // Require denormalization to posts
-      "role", "postCount", "followerCount", "followingCount"  // System-managed
-    ];
+    const requests = [];
+    if (requesters.length > 0) {
+      const pipeline = trackedRedis.pipeline();
+      for (const requester of requesters) {
+        pipeline.hgetall(`user:${requester.username}`);
+      }
+      const results = await pipeline.exec();
 
-    const results = [];
+      for (let i = 0; i < requesters.length; i++) {
+        const [, userData] = results[i];
+        if (!userData || Object.keys(userData).length === 0) continue;
 
-    for (let command of commandsNormalized) {
-      if (!Array.isArray(command) || command.length === 0) {
-        results.push("ERR invalid command format");
-        continue;
+        requests.push({
+          user: sanitizeUserData(userData, requesters[i].username, username),
+          requested_at: requesters[i].requested_at
+        });
       }
+    }
 
-      const [cmdRaw, ...args] = command;
-      const cmd = cmdRaw.toUpperCase();
-
-      // Check command whitelist
-      if (!allowedWriteCommands.includes(cmd)) {
-        results.push("ERR command not allowed in write mode");
-        continue;
+    const response = {
+      requests,
+      pagination: {
+        offset,
+        limit,
+        count: requests.length
       }
+    };
 
-      try {
-        // Replace user:me placeholder in key argument only (API key only, resolves to user:xano_sync)
-        // Note: Since only API key reaches this point, recommend using explicit usernames instead
-        const argsProcessed = args.map((a, index) =>
-          index === 0 && typeof a === "string"
-            ? a.replace(/^user:me(?=$|:)/, `user:${tokenUsername}`)
-            : a
-        );
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching follow requests", err);
+    res.status(500).json({ error: "Failed to fetch follow requests" });
+  }
+});
 
-        // Authorization check: validate key format
-        if (argsProcessed.length > 0 && typeof argsProcessed[0] === "string") {
-          const key = argsProcessed[0];
+// ===== GET /users/me/mentions: Posts and comments that mention the authenticated user =====
+// Newest first. Banned and hidden-author items are skipped, so pages are filled from a buffered
+// read like the feeds; next_offset is where the next page starts reading.
+app.get("/users/me/mentions", async (req, res) => {
+  const requestId = getRequestId();
 
-          // Check if key matches user:<username> or user:<username>:* pattern
-          const userKeyMatch = key.match(/^user:([^:]+)(?::.*)?$/);
+  try {
+    const username = req.user.username;
+    const offset = parseInt(req.query.offset) || 0;
+    let limit = parseInt(req.query.limit) || 20;
 
-          if (!userKeyMatch) {
-            results.push("ERR invalid key format");
-            continue;
-          }
+    if (limit > 100) limit = 100;
 
-          // API key authentication allows modifying any user data (for backend sync operations)
-        }
+    const trackedRedis = createTrackedRedis(requestId);
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, username);
+    const mentionsKey = `user:${username}:mentions`;
+
+    const bufferSize = limit * 2;
+    const mentions = [];
+    let scanned = 0;
+    let exhausted = false;
+
+    while (mentions.length < limit) {
+      const entries = await trackedRedis.zrevrange(mentionsKey, offset + scanned, offset + scanned + bufferSize - 1, 'WITHSCORES');
+      if (entries.length === 0) {
+        exhausted = true;
+        break;
+      }
 
-        // Field restriction check for HSET and HDEL commands
-        // NOTE: These restrictions apply to API key requests to ensure data consistency
-        // Could be relaxed in the future if needed for Xano sync edge cases
+      const batch = [];
+      for (let i = 0; i < entries.length; i += 2) {
+        const [type, id] = entries[i].split(':');
+        batch.push({ type, id, mentionedAt: parseInt(entries[i + 1]) });
+      }
 
-        // HSET supports multiple field-value pairs: HSET key f1 v1 f2 v2 ...
-        // Validate all field names, not just the first one
-        if (cmd === "HSET" && argsProcessed.length >= 2) {
-          // Validate argument count: must have key + field-value pairs (odd total count)
-          if (argsProcessed.length % 2 === 0) {
-            results.push("ERR HSET requires field-value pairs (odd number of arguments after key)");
-            continue;
-          }
+      const pipeline = trackedRedis.pipeline();
+      for (const entry of batch) {
+        pipeline.hgetall(`${entry.type}:${entry.id}`);
+      }
+      const results = await pipeline.exec();
+
+      // Comments are returned with the post they belong to
+      const postIds = [];
+      for (let i = 0; i < batch.length; i++) {
+        const [, data] = results[i];
+        if (!data || Object.keys(data).length === 0 || data.banned === 'true') continue;
+        batch[i].data = data;
+        postIds.push(batch[i].type === 'post' ? batch[i].id : data.post_id);
+      }
 
-          // Extract all field names (at odd indices: 1, 3, 5, ...)
-          const fieldNames = [];
-          for (let i = 1; i < argsProcessed.length; i += 2) {
-            fieldNames.push(argsProcessed[i]);
-          }
+      const postItems = await aggregatePostsWithUsers([...new Set(postIds)], requestId, true, username, hiddenAuthors);
+      const postsById = {};
+      for (const postItem of postItems) {
+        postsById[postItem.post.id] = postItem;
+      }
 
-          // Check each field against blocked list
-          const blockedFieldsFound = fieldNames.filter(f => blockedFields.includes(f));
-          if (blockedFieldsFound.length > 0) {
-            const fieldList = blockedFieldsFound.map(f => `'${f}'`).join(", ");
-            results.push(`ERR field${blockedFieldsFound.length > 1 ? 's' : ''} ${fieldList} cannot be modified directly, use PATCH /users/:id`);
-            continue;
-          }
+      for (const entry of batch) {
+        if (!entry.data) continue;
+
+        if (entry.type === 'post') {
+          const postItem = postsById[entry.id];
+          if (!postItem) continue;
+          mentions.push({ type: 'post', mentioned_at: entry.mentionedAt, ...postItem });
+        } else {
+          // Parent post gone or hidden, or the comment's author is hidden
+          const postItem = postsById[entry.data.post_id];
+          if (!postItem || hiddenAuthors.has(entry.data.user_id)) continue;
+          mentions.push({ type: 'comment', mentioned_at: entry.mentionedAt, comment: entry.data, post: postItem.post, user: postItem.user });
         }
 
-        if (cmd === "HDEL") {
-          // HDEL can have multiple fields: HDEL key field1 field2 ...
-          const fieldsToDelete = argsProcessed.slice(1);
-          const blockedFieldAttempt = fieldsToDelete.find(f => blockedFields.includes(f));
-          if (blockedFieldAttempt) {
-            results.push(`ERR field '${blockedFieldAttempt}' cannot be modified directly, use PATCH /users/:id`);
-            continue;
-          }
+        if (mentions.length === limit) {
+          scanned += batch.indexOf(entry) + 1;
+          break;
         }
+      }
 
-        if (cmd === "HINCRBY" && argsProcessed.length >= 2) {
-          const fieldName = argsProcessed[1];
-          if (blockedFields.includes(fieldName)) {
-            // Allow API key sync to increment count fields (followerCount, followingCount, postCount)
-            const allowedCountFields = ['followerCount', 'followingCount', 'postCount'];
-            const isAllowedForApiKey = req.user.isApiKey === true && allowedCountFields.includes(fieldName);
-
-            if (!isAllowedForApiKey) {
-              results.push(`ERR field '${fieldName}' cannot be modified directly, use PATCH /users/:id`);
-              continue;
-            }
-
-            // Optionally validate that the increment value is numeric
-            if (argsProcessed.length >= 3 && isNaN(Number(argsProcessed[2]))) {
-              results.push(`ERR HINCRBY increment must be numeric`);
-              continue;
-            }
-          }
+      if (mentions.length < limit) {
+        scanned += batch.length;
+        if (entries.length / 2 < bufferSize) {
+          exhausted = true;
+          break;
         }
+      }
+    }
+
+    const response = {
+      mentions,
+      pagination: {
+        offset,
+        limit,
+        count: mentions.length,
+        next_offset: exhausted ? null : offset + scanned
+      }
+    };
 
-        // Console logging for debug
-        console.log("=== Redis Write Request (API Key - Admin) ===");
-        console.log("Username:", req.user.username);
-        console.log("Command:", cmdRaw);
-        console.log("Original args:", args);
-        console.log("Resolved args:", argsProcessed);
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching mentions", err);
+    res.status(500).json({ error: "Failed to fetch mentions" });
+  }
+});
 
-        // Log multi-field HSET operations
-        if (cmd === "HSET" && argsProcessed.length > 3) {
-          const fieldCount = Math.floor((argsProcessed.length - 1) / 2);
-          const fieldNames = [];
-          for (let i = 1; i < argsProcessed.length; i += 2) {
-            fieldNames.push(argsProcessed[i]);
-          }
-          console.log(`Multi-field HSET: ${fieldCount} fields (${fieldNames.join(", ")})`);
-        }
+// ===== GET /notifications: Grouped notification inbox for the authenticated user =====
+// Events from blocked/muted users and about deleted or banned posts/comments are left out
+app.get("/notifications", async (req, res) => {
+  const requestId = getRequestId();
 
-        // Execute Redis command
-        const trackedRedis = createTrackedRedis(requestId);
-        const result = await trackedRedis[cmd.toLowerCase()](...argsProcessed);
+  try {
+    const username = req.user.username;
+    const offset = parseInt(req.query.offset) || 0;
+    let limit = parseInt(req.query.limit) || 20;
+    const { type } = req.query;
+    const unreadOnly = req.query.unread_only === 'true';
 
-        console.log("Redis result:", result);
-        console.log("===========================");
+    if (limit > 100) limit = 100;
 
-        // Cache invalidation after successful write
-        // Parse the key to determine which user's data was affected
-        const key = argsProcessed[0];
-        const userKeyMatch = key.match(/^user:([^:]+)/);
+    if (type !== undefined && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${NOTIFICATION_TYPES.join(', ')}` });
+    }
 
-        if (userKeyMatch) {
-          const affectedUser = userKeyMatch[1];
+    const trackedRedis = createTrackedRedis(requestId);
 
-          // Invalidate the affected user's cache
-          delete userCache[affectedUser];
+    const pipeline = trackedRedis.pipeline();
+    pipeline.lrange(`user:${username}:notifications`, 0, -1);
+    pipeline.hget(`user:${username}`, 'notifications_read_at');
+    pipeline.smembers(`user:${username}:blocked`);
+    pipeline.smembers(`user:${username}:blocked_by`);
+    pipeline.smembers(`user:${username}:muted`);
+    const [[, rawNotifications], [, readAtValue], [, blocked], [, blockedBy], [, muted]] = await pipeline.exec();
 
-          // Invalidate user profile cache for all viewers of this user
-          const profileCacheKeys = Object.keys(cache).filter(key =>
-            key.startsWith(`user_profile_${affectedUser}_`)
-          );
-          profileCacheKeys.forEach(key => delete cache[key]);
-        }
+    const readAt = parseInt(readAtValue) || 0;
+    const hiddenActors = new Set([...blocked, ...blockedBy, ...muted]);
 
-        // Invalidate feed caches (conservative approach)
-        invalidateFeedCaches();
+    let notifications = [];
+    for (const raw of rawNotifications) {
+      try {
+        const notification = JSON.parse(raw);
+        if (!hiddenActors.has(notification.actor)) notifications.push(notification);
+      } catch (e) {
+        // Skip malformed entries
+      }
+    }
 
-        results.push(result);
-      } catch (err) {
-        console.error("Redis write error:", err);
-        results.push(`ERR ${err.message}`);
+    // Drop events whose post or comment is gone or banned
+    const postIds = [...new Set(notifications.map(n => n.post_id).filter(Boolean))];
+    const commentIds = [...new Set(notifications.map(n => n.comment_id).filter(Boolean))];
+    if (postIds.length > 0 || commentIds.length > 0) {
+      const checkPipeline = trackedRedis.pipeline();
+      for (const postId of postIds) {
+        checkPipeline.hmget(`post:${postId}`, 'id', 'banned');
+      }
+      for (const commentId of commentIds) {
+        checkPipeline.hget(`comment:${commentId}`, 'id');
       }
+      const checks = await checkPipeline.exec();
+
+      const visiblePosts = new Set(postIds.filter((_, i) => {
+        const [id, banned] = checks[i][1] || [];
+        return id && banned !== 'true';
+      }));
+      const existingComments = new Set(commentIds.filter((_, i) => checks[postIds.length + i][1]));
+
+      notifications = notifications.filter(n =>
+        (!n.post_id || visiblePosts.has(n.post_id)) && (!n.comment_id || existingComments.has(n.comment_id))
+      );
     }
 
-    const elapsed = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`[POST /redis/write] 200 ${elapsed}ms (Redis: ${counter.commands} commands, ${counter.pipelines} pipelines) [${requestId}]`);
+    const groups = groupNotifications(notifications, readAt);
+    const unreadCount = groups.filter(group => !group.read).length;
 
-    res.json({
-      results: results,
-      username: tokenUsername
-    });
+    let filtered = groups;
+    if (type) filtered = filtered.filter(group => group.type === type);
+    if (unreadOnly) filtered = filtered.filter(group => !group.read);
+
+    const page = filtered.slice(offset, offset + limit);
+
+    const response = {
+      notifications: page,
+      unread_count: unreadCount,
+      pagination: {
+        offset,
+        limit,
+        count: page.length,
+        total: filtered.length,
+        next_offset: offset + limit < filtered.length ? offset + limit : null
+      }
+    };
+
+    res.json(response);
   } catch (err) {
-    const elapsed = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.error("Redis write endpoint error:", err);
-    console.log(`[POST /redis/write] 500 ${elapsed}ms (Redis: ${counter.commands} commands, ${counter.pipelines} pipelines) [${requestId}]`);
-    res.status(500).json({ error: "Internal server error" });
+    httpLog.error("Error fetching notifications", err);
+    res.status(500).json({ error: "Failed to fetch notifications" });
   }
 });
 
-// ===== POST /posts: Create a new post =====
-// NOTE: API key requests will work here with user_id='xano_sync' and role='admin'
-app.post("/posts", async (req, res) => {
+// ===== POST /notifications/read: Mark notifications as read =====
+// Marks everything up to `before` (Unix ms, default now) as read. The read marker never moves backwards.
+app.post("/notifications/read", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
     const username = req.user.username;
-    const { content, media_url } = req.body;
+    let before = Date.now();
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: "Content is required" });
+    if (req.body.before !== undefined) {
+      before = parseInt(req.body.before);
+      if (isNaN(before) || before <= 0) {
+        return res.status(400).json({ error: "before must be a Unix timestamp in milliseconds" });
+      }
+      // A future marker would hide every notification until then
+      before = Math.min(before, Date.now());
     }
 
     const trackedRedis = createTrackedRedis(requestId);
 
-    // Fetch user data for denormalization
-    const userData = await trackedRedis.hgetall(`user:${username}`);
+    const currentReadAt = parseInt(await trackedRedis.hget(`user:${username}`, 'notifications_read_at')) || 0;
+    const readAt = Math.max(currentReadAt, before);
 
-    if (!userData || Object.keys(userData).length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    if (readAt !== currentReadAt) {
+      await trackedRedis.hset(`user:${username}`, 'notifications_read_at', readAt);
+      invalidateCache({ keys: [`user_profile_${username}_${username}`], users: [username] });
     }
 
-    // Generate post ID (UUID) and timestamp
-    const postId = randomUUID();
-    const timestamp = Date.now();
+    res.json({ message: "Notifications marked as read", read_at: readAt });
+  } catch (err) {
+    httpLog.error("Error marking notifications as read", err);
+    res.status(500).json({ error: "Failed to mark notifications as read" });
+  }
+});
 
-    // Build post data with denormalized user info
-    const postData = {
-      id: postId,
-      user_id: username,
-      username: userData.username || '',
-      avatar: userData.avatar || '',
-      display_name: userData.display_name || userData.username || '',
-      user_role: userData.role || 'user',
-      content: content.trim(),
-      media_url: media_url || '',
-      created_at: timestamp,
-      likesCount: 0,
-      commentsCount: 0,
-      bookmarksCount: 0
-    };
+// ===== GET /stream: Server-Sent Events for new posts, live counters and notifications =====
+// Pass posts=<id>,<id> to only receive counter updates for the posts on screen
+app.get("/stream", async (req, res) => {
+  const username = req.user.username;
 
-    // Extract hashtags from content using helper function
-    const extractedHashtags = extractHashtags(content);
+  let postFilter = null;
+  if (req.query.posts) {
+    const postIds = String(req.query.posts).split(',').map(id => id.trim()).filter(Boolean);
+    if (postIds.length > STREAM_POST_FILTER_LIMIT) {
+      return res.status(400).json({ error: `posts accepts at most ${STREAM_POST_FILTER_LIMIT} IDs` });
+    }
+    postFilter = new Set(postIds);
+  }
 
-    // Use Redis transaction for atomicity
-    const multi = redis.multi();
+  // The cap holds across instances (see STREAM_CONNECTIONS_TTL_SECONDS)
+  const connectionsKey = `stream:connections:${username}`;
+  try {
+    const pipeline = createTrackedRedis(getRequestId()).pipeline();
+    pipeline.incr(connectionsKey);
+    pipeline.expire(connectionsKey, STREAM_CONNECTIONS_TTL_SECONDS);
+    const [[, userConnections]] = await pipeline.exec();
+    if (userConnections > STREAM_MAX_CONNECTIONS_PER_USER) {
+      await redis.decr(connectionsKey);
+      return res.status(429).json({ error: `Too many open streams (max ${STREAM_MAX_CONNECTIONS_PER_USER})` });
+    }
+  } catch (err) {
+    streamLog.error("Error counting stream connections", err);
+    return res.status(500).json({ error: "Failed to open stream" });
+  }
 
-    // Store post hash
-    multi.hset(`post:${postId}`, postData);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Disable response buffering in nginx-style proxies
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    // Add to explore feed
-    multi.zadd('explore:feed', timestamp, postId);
+  const clientId = randomUUID();
+  streamClients.set(clientId, { res, username, postFilter });
+  streamLog.info("Stream connected", { user: username, open_streams: streamClients.size });
 
-    // Add to user's posts
-    multi.zadd(`user:${username}:posts`, timestamp, postId);
+  res.write('retry: 5000\n\n');
+  writeStreamEvent(res, 'ready', { client_id: clientId });
 
-    // Add to hashtag feeds using extracted hashtags from content
-    for (const hashtagId of extractedHashtags) {
-      multi.zadd(`hashtag:${hashtagId}:posts`, timestamp, postId);
-      // Initialize ranked feed with score 0
-      multi.zadd(`hashtag:${hashtagId}:ranked`, 0, postId);
-    }
+  req.on('close', () => {
+    streamClients.delete(clientId);
+    redis.decr(connectionsKey).catch(err => streamLog.error("Failed to release stream connection", { user: username, err }));
+    streamLog.info("Stream disconnected", { user: username, open_streams: streamClients.size });
+  });
+});
 
-    // Increment user's post count
-    multi.hincrby(`user:${username}`, 'postCount', 1);
+// ===== POST /users/me/follow-requests/:username/approve: Approve a follow request =====
+app.post("/users/me/follow-requests/:username/approve", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const username = req.user.username;
+    const requesterUsername = req.params.username;
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    const pendingSince = await trackedRedis.zscore(`user:${username}:follow_requests`, requesterUsername);
+    if (pendingSince === null) {
+      return res.status(404).json({ error: "Follow request not found" });
+    }
 
+    const multi = redis.multi();
+    queueFollowRequestApproval(multi, username, requesterUsername);
+    await queueTimelineBackfill(multi, trackedRedis, [requesterUsername], username);
+    const queuedNotifications = await queueNotifications(multi, trackedRedis, [requesterUsername], { type: 'follow_accepted', actor: username });
     await multi.exec();
+    publishNotifications(queuedNotifications);
 
-    // Invalidate relevant caches
-    delete cache[`user_profile_${username}_${username}`];
+    // Invalidate relevant caches (the requester can now see this account's posts)
+    invalidateCache({
+      keys: [`user_profile_${username}_${username}`, `user_profile_${requesterUsername}_${requesterUsername}`, `hidden_authors_${requesterUsername}`],
+      users: [username, requesterUsername]
+    });
     invalidateFeedCaches();
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [POST /posts] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-
-    res.status(201).json({ post: postData });
+    res.json({ message: "Follow request approved" });
   } catch (err) {
-    console.error("Error creating post:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [POST /posts] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to create post" });
+    httpLog.error("Error approving follow request", err);
+    res.status(500).json({ error: "Failed to approve follow request" });
   }
 });
 
-// ===== DELETE /posts/:id: Delete a post =====
-// NOTE: API key requests have role='admin' and will bypass ownership check
-app.delete("/posts/:id", async (req, res) => {
+// ===== POST /users/me/follow-requests/:username/deny: Deny a follow request =====
+app.post("/users/me/follow-requests/:username/deny", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const postId = req.params.id;
     const username = req.user.username;
-    const userRole = req.user.role;
+    const requesterUsername = req.params.username;
 
     const trackedRedis = createTrackedRedis(requestId);
 
-    // Fetch post data
-    const postData = await trackedRedis.hgetall(`post:${postId}`);
+    const pendingSince = await trackedRedis.zscore(`user:${username}:follow_requests`, requesterUsername);
+    if (pendingSince === null) {
+      return res.status(404).json({ error: "Follow request not found" });
+    }
 
-    if (!postData || Object.keys(postData).length === 0) {
-      return res.status(404).json({ error: "Post not found" });
+    const multi = redis.multi();
+    multi.zrem(`user:${username}:follow_requests`, requesterUsername);
+    multi.srem(`user:${requesterUsername}:follow_requests_sent`, username);
+    await multi.exec();
+
+    res.json({ message: "Follow request denied" });
+  } catch (err) {
+    httpLog.error("Error denying follow request", err);
+    res.status(500).json({ error: "Failed to deny follow request" });
+  }
+});
+
+// ===== POST /users/:id/block: Block a user =====
+// Blocking removes follow relationships in both directions and hides each user's posts from the other
+app.post("/users/:id/block", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    let targetUsername = req.params.id;
+    const username = req.user.username;
+
+    // Resolve 'me' placeholder to authenticated username (will fail self-block check)
+    if (targetUsername === 'me') {
+      targetUsername = username;
     }
 
-    // Check authorization (owner or admin)
-    // API key requests will have role='admin' and will bypass this check
-    if (postData.user_id !== username && userRole !== 'admin') {
-      return res.status(403).json({ error: "Not authorized to delete this post" });
+    if (targetUsername === username) {
+      return res.status(400).json({ error: "Cannot block yourself" });
     }
 
-    // Get hashtags from post content (simple regex match)
-    const hashtagMatches = postData.content.match(/#(\w+)/g) || [];
-    const hashtags = hashtagMatches.map(tag => tag.substring(1));
+    const trackedRedis = createTrackedRedis(requestId);
 
-    // Get all users who bookmarked this post to remove from their user:*:bookmarked
-    const bookmarkedBy = await trackedRedis.smembers(`post:${postId}:bookmarks`);
+    // Check if target user exists
+    const targetUserExists = await trackedRedis.exists(`user:${targetUsername}`);
+    if (targetUserExists === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-    // Use Redis transaction for atomicity
+    // Check if already blocked
+    const alreadyBlocked = await trackedRedis.sismember(`user:${username}:blocked`, targetUsername);
+    if (alreadyBlocked) {
+      return res.status(400).json({ error: "User already blocked" });
+    }
+
+    // Check follow relationships in both directions
+    const followPipeline = trackedRedis.pipeline();
+    followPipeline.sismember(`user:${username}:following`, targetUsername);
+    followPipeline.sismember(`user:${targetUsername}:following`, username);
+    const followResults = await followPipeline.exec();
+    const isFollowing = followResults[0][1] === 1;
+    const isFollowedBy = followResults[1][1] === 1;
+
+    // Use Redis transaction
     const multi = redis.multi();
 
-    // Remove from explore feed
-    multi.zrem('explore:feed', postId);
+    // Add to blocked set and target's reverse index
+    multi.sadd(`user:${username}:blocked`, targetUsername);
+    multi.sadd(`user:${targetUsername}:blocked_by`, username);
+
+    // Auto-unfollow: user -> target
+    if (isFollowing) {
+      multi.srem(`user:${username}:following`, targetUsername);
+      multi.srem(`user:${targetUsername}:followers`, username);
+      multi.hincrby(`user:${username}`, 'followingCount', -1);
+      multi.hincrby(`user:${targetUsername}`, 'followerCount', -1);
+      await queueTimelineUnfollow(multi, trackedRedis, username, targetUsername);
+    }
 
-    // Remove from user's posts
-    multi.zrem(`user:${postData.user_id}:posts`, postId);
+    // Auto-unfollow: target -> user
+    if (isFollowedBy) {
+      multi.srem(`user:${targetUsername}:following`, username);
+      multi.srem(`user:${username}:followers`, targetUsername);
+      multi.hincrby(`user:${targetUsername}`, 'followingCount', -1);
+      multi.hincrby(`user:${username}`, 'followerCount', -1);
+      await queueTimelineUnfollow(multi, trackedRedis, targetUsername, username);
+    }
+
+    // Drop pending follow requests in both directions
+    multi.zrem(`user:${username}:follow_requests`, targetUsername);
+    multi.zrem(`user:${targetUsername}:follow_requests`, username);
+    multi.srem(`user:${username}:follow_requests_sent`, targetUsername);
+    multi.srem(`user:${targetUsername}:follow_requests_sent`, username);
+
+    await multi.exec();
+
+    // Invalidate relevant caches
+    invalidateCache({
+      keys: [`user_profile_${username}_${username}`, `user_profile_${targetUsername}_${targetUsername}`, `hidden_authors_${username}`, `hidden_authors_${targetUsername}`],
+      users: [username, targetUsername]
+    });
+    invalidateFeedCaches();
+
+    res.json({
+      message: "User blocked successfully",
+      unfollowed: { following: isFollowing, follower: isFollowedBy }
+    });
+  } catch (err) {
+    httpLog.error("Error blocking user", err);
+    res.status(500).json({ error: "Failed to block user" });
+  }
+});
+
+// ===== DELETE /users/:id/block: Unblock a user =====
+// Follow relationships removed by the block are not restored
+app.delete("/users/:id/block", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    let targetUsername = req.params.id;
+    const username = req.user.username;
 
-    // Remove from hashtag feeds
-    for (const hashtagId of hashtags) {
-      multi.zrem(`hashtag:${hashtagId}:posts`, postId);
-      multi.zrem(`hashtag:${hashtagId}:ranked`, postId);
+    // Resolve 'me' placeholder to authenticated username (will fail self-unblock check)
+    if (targetUsername === 'me') {
+      targetUsername = username;
     }
 
-    // Remove post from each user's bookmarked list (bookmarkedBy now contains usernames)
-    for (const bookmarkUsername of bookmarkedBy) {
-      multi.zrem(`user:${bookmarkUsername}:bookmarked`, postId);
+    if (targetUsername === username) {
+      return res.status(400).json({ error: "Cannot unblock yourself" });
     }
 
-    // Delete interaction sets
-    multi.del(`post:${postId}:likes`);
-    multi.del(`post:${postId}:bookmarks`);
-    multi.del(`post:${postId}:comments`);
-
-    // Delete post hash
-    multi.del(`post:${postId}`);
+    const trackedRedis = createTrackedRedis(requestId);
 
-    // Decrement user's post count
-    multi.hincrby(`user:${postData.user_id}`, 'postCount', -1);
+    // Check if blocked
+    const isBlocked = await trackedRedis.sismember(`user:${username}:blocked`, targetUsername);
+    if (!isBlocked) {
+      return res.status(400).json({ error: "User not blocked" });
+    }
 
+    // Use Redis transaction
+    const multi = redis.multi();
+    multi.srem(`user:${username}:blocked`, targetUsername);
+    multi.srem(`user:${targetUsername}:blocked_by`, username);
     await multi.exec();
 
-    // Invalidate post cache
-    delete postCache[postId];
+    // Invalidate relevant caches
+    invalidateCache({ keys: [`hidden_authors_${username}`, `hidden_authors_${targetUsername}`] });
     invalidateFeedCaches();
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [DELETE /posts/:id] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-
-    res.json({ message: "Post deleted successfully" });
+    res.json({ message: "User unblocked successfully" });
   } catch (err) {
-    console.error("Error deleting post:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [DELETE /posts/:id] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to delete post" });
+    httpLog.error("Error unblocking user", err);
+    res.status(500).json({ error: "Failed to unblock user" });
   }
 });
 
-// ===== PATCH /posts/:id/ban: Ban a post (admin only) =====
-app.patch("/posts/:id/ban", async (req, res) => {
+// ===== POST /users/:id/mute: Mute a user =====
+// Muting only hides the user's posts from your feeds; follows are kept and the user is not notified
+app.post("/users/:id/mute", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const postId = req.params.id;
-    const userRole = req.user.role;
+    let targetUsername = req.params.id;
+    const username = req.user.username;
 
-    // Only allow admins to ban posts
-    if (userRole !== 'admin') {
-      return res.status(403).json({ error: "Only admins can ban posts" });
+    // Resolve 'me' placeholder to authenticated username (will fail self-mute check)
+    if (targetUsername === 'me') {
+      targetUsername = username;
     }
 
-    const trackedRedis = createTrackedRedis(requestId);
+    if (targetUsername === username) {
+      return res.status(400).json({ error: "Cannot mute yourself" });
+    }
 
-    // Fetch post data
-    const postData = await trackedRedis.hgetall(`post:${postId}`);
+    const trackedRedis = createTrackedRedis(requestId);
 
-    if (!postData || Object.keys(postData).length === 0) {
-      return res.status(404).json({ error: "Post not found" });
+    // Check if target user exists
+    const targetUserExists = await trackedRedis.exists(`user:${targetUsername}`);
+    if (targetUserExists === 0) {
+      return res.status(404).json({ error: "User not found" });
     }
 
-    console.log(`[PATCH /posts/:id/ban] Admin banning post ${postId}`);
-
-    // Get all users who bookmarked this post to remove from their user:*:bookmarked
-    const bookmarkedBy = await trackedRedis.smembers(`post:${postId}:bookmarks`);
+    // Check if already muted
+    const alreadyMuted = await trackedRedis.sismember(`user:${username}:muted`, targetUsername);
+    if (alreadyMuted) {
+      return res.status(400).json({ error: "User already muted" });
+    }
 
-    // Add banned flag for audit trail
-    await redis.hset(`post:${postId}`, 'banned', 'true');
-    await redis.hset(`post:${postId}`, 'banned_at', Date.now().toString());
-    await redis.hset(`post:${postId}`, 'banned_by', req.user.username);
+    await trackedRedis.sadd(`user:${username}:muted`, targetUsername);
 
-    // Get hashtags from post content
-    const hashtagMatches = postData.content.match(/#(\w+)/g) || [];
-    const hashtags = hashtagMatches.map(tag => tag.substring(1));
+    // Invalidate relevant caches
+    invalidateCache({ keys: [`hidden_authors_${username}`] });
+    invalidateFeedCaches();
 
-    // Use Redis transaction for atomicity
-    const multi = redis.multi();
+    res.json({ message: "User muted successfully" });
+  } catch (err) {
+    httpLog.error("Error muting user", err);
+    res.status(500).json({ error: "Failed to mute user" });
+  }
+});
 
-    // Remove from explore feed
-    multi.zrem('explore:feed', postId);
+// ===== DELETE /users/:id/mute: Unmute a user =====
+app.delete("/users/:id/mute", async (req, res) => {
+  const requestId = getRequestId();
 
-    // Remove from user's posts
-    multi.zrem(`user:${postData.user_id}:posts`, postId);
+  try {
+    let targetUsername = req.params.id;
+    const username = req.user.username;
 
-    // Remove from hashtag feeds
-    for (const hashtagId of hashtags) {
-      multi.zrem(`hashtag:${hashtagId}:posts`, postId);
-      multi.zrem(`hashtag:${hashtagId}:ranked`, postId);
+    // Resolve 'me' placeholder to authenticated username (will fail self-unmute check)
+    if (targetUsername === 'me') {
+      targetUsername = username;
     }
 
-    // Remove post from each user's bookmarked list (bookmarkedBy now contains usernames)
-    for (const bookmarkUsername of bookmarkedBy) {
-      multi.zrem(`user:${bookmarkUsername}:bookmarked`, postId);
+    if (targetUsername === username) {
+      return res.status(400).json({ error: "Cannot unmute yourself" });
     }
 
-    // Delete interaction sets (post remains for audit but interactions are removed)
-    multi.del(`post:${postId}:likes`);
-    multi.del(`post:${postId}:bookmarks`);
-    multi.del(`post:${postId}:comments`);
+    const trackedRedis = createTrackedRedis(requestId);
 
-    // Decrement user's post count
-    multi.hincrby(`user:${postData.user_id}`, 'postCount', -1);
+    // Check if muted
+    const isMuted = await trackedRedis.sismember(`user:${username}:muted`, targetUsername);
+    if (!isMuted) {
+      return res.status(400).json({ error: "User not muted" });
+    }
 
-    await multi.exec();
+    await trackedRedis.srem(`user:${username}:muted`, targetUsername);
 
-    // Invalidate post cache
-    delete postCache[postId];
+    // Invalidate relevant caches
+    invalidateCache({ keys: [`hidden_authors_${username}`] });
     invalidateFeedCaches();
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [PATCH /posts/:id/ban] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-
-    res.json({ message: "Post banned successfully", postId });
+    res.json({ message: "User unmuted successfully" });
   } catch (err) {
-    console.error("Error banning post:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [PATCH /posts/:id/ban] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to ban post" });
+    httpLog.error("Error unmuting user", err);
+    res.status(500).json({ error: "Failed to unmute user" });
   }
 });
 
-// ===== POST /posts/:id/like: Like a post =====
-app.post("/posts/:id/like", async (req, res) => {
+// ===== POST /users: Create (provision) a user with the full key layout =====
+// Admin/API key: may create any user with any role (used by Xano sync)
+// JWT self-provision: only when ALLOW_SELF_PROVISION=true, only for the token's own username and role
+app.post("/users", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const postId = req.params.id;
-    const username = req.user.username;
+    const isAdmin = req.user.role === 'admin';
+    const selfProvisionEnabled = process.env.ALLOW_SELF_PROVISION === 'true';
+    const { username: requestedUsername, role: requestedRole, created_at, ...profileFields } = req.body;
+
+    // Self-provisioning defaults to the token's username and role
+    const username = isAdmin ? requestedUsername : (requestedUsername || req.user.username);
+    const role = isAdmin ? (requestedRole || 'user') : req.user.role;
+
+    // AUTHORIZATION: Admins/API key can create anyone, users can only provision themselves
+    if (!isAdmin) {
+      if (!selfProvisionEnabled) {
+        return res.status(403).json({ error: "Only admins can create users" });
+      }
+      if (username !== req.user.username) {
+        return res.status(403).json({ error: "Can only provision your own account" });
+      }
+      if (requestedRole !== undefined && requestedRole !== req.user.role) {
+        return res.status(403).json({ error: "Role must match the role in your token" });
+      }
+    }
 
-    const trackedRedis = createTrackedRedis(requestId);
+    // Validate username (immutable primary key, see header comment)
+    if (!username || !USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ error: "Invalid username. Use 3-30 letters, numbers or underscores" });
+    }
+    if (RESERVED_USERNAMES.includes(username.toLowerCase())) {
+      return res.status(400).json({ error: "Username is reserved" });
+    }
 
-    // Check if post exists
-    const postExists = await trackedRedis.exists(`post:${postId}`);
-    if (postExists === 0) {
-      return res.status(404).json({ error: "Post not found" });
+    const validRoles = ['admin', 'user', 'model'];
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({ error: "Invalid role. Must be 'admin', 'user' or 'model'" });
     }
 
-    // Check if already liked
-    const alreadyLiked = await trackedRedis.sismember(`post:${postId}:likes`, username);
-    if (alreadyLiked) {
-      return res.status(400).json({ error: "Post already liked" });
+    // System-managed counters are always initialized by the service
+    const systemFields = ['postCount', 'followerCount', 'followingCount'];
+    const systemFieldsFound = Object.keys(profileFields).filter(f => systemFields.includes(f));
+    if (systemFieldsFound.length > 0) {
+      return res.status(400).json({ error: `System-managed fields cannot be set: ${systemFieldsFound.join(", ")}` });
     }
 
-    // Get post data for ranking updates
-    const postData = await trackedRedis.hgetall(`post:${postId}`);
+    const invalidFields = Object.keys(profileFields).filter(f => {
+      const value = profileFields[f];
+      return typeof value !== 'string' && typeof value !== 'number' && typeof value !== 'boolean';
+    });
+    if (invalidFields.length > 0) {
+      return res.status(400).json({ error: `Field values must be strings, numbers or booleans: ${invalidFields.join(", ")}` });
+    }
 
-    // Use Redis transaction
-    const multi = redis.multi();
+    if (profileFields.is_private !== undefined) {
+      if (![true, false, 'true', 'false'].includes(profileFields.is_private)) {
+        return res.status(400).json({ error: "is_private must be a boolean" });
+      }
+      profileFields.is_private = String(profileFields.is_private);
+    }
 
-    // Add user to likes set
-    multi.sadd(`post:${postId}:likes`, username);
+    for (const field of NOTIFICATION_PREFERENCE_FIELDS) {
+      if (profileFields[field] === undefined) continue;
+      if (![true, false, 'true', 'false'].includes(profileFields[field])) {
+        return res.status(400).json({ error: `${field} must be a boolean` });
+      }
+      profileFields[field] = String(profileFields[field]);
+    }
 
-    // Increment likes count
-    multi.hincrby(`post:${postId}`, 'likesCount', 1);
+    // Only admins/API key may backfill the original creation timestamp (Xano sync)
+    let createdAt = Date.now();
+    if (created_at !== undefined && isAdmin) {
+      createdAt = parseInt(created_at);
+      if (isNaN(createdAt) || createdAt <= 0) {
+        return res.status(400).json({ error: "created_at must be a Unix timestamp in milliseconds" });
+      }
+    }
 
-    // Update ranked feeds if post has hashtags
-    const hashtags = extractHashtags(postData.content);
-    if (hashtags.length > 0) {
-      const currentTime = Date.now();
-      const createdAt = parseInt(postData.created_at);
-      const likesCount = parseInt(postData.likesCount || 0) + 1;
-      const commentsCount = parseInt(postData.commentsCount || 0);
-      const bookmarksCount = parseInt(postData.bookmarksCount || 0);
+    const trackedRedis = createTrackedRedis(requestId);
 
-      // Calculate time-decayed score
-      const engagementScore = (likesCount * 3 + commentsCount * 5 + bookmarksCount * 4);
-      const ageInHours = (currentTime - createdAt) / 3600000;
-      const score = engagementScore / (ageInHours + 1);
+    // Claim the username atomically: of two concurrent creates only one HSETNX succeeds,
+    // so the other gets a 409 instead of overwriting the first user
+    const claimed = await trackedRedis.hsetnx(`user:${username}`, 'username', username);
+    if (!claimed) {
+      return res.status(409).json({ error: "User already exists" });
+    }
 
-      // Check if post is older than 2 weeks
-      const twoWeeksInMs = 14 * 24 * 3600 * 1000;
-      const finalScore = (currentTime - createdAt) > twoWeeksInMs ? 0 : score;
+    // Build user hash (see docs/REDIS_KEYS.md for the field layout)
+    const userData = {
+      ...profileFields,
+      username,
+      display_name: profileFields.display_name || username,
+      bio: profileFields.bio || '',
+      avatar: profileFields.avatar || '',
+      links: profileFields.links || '',
+      role,
+      postCount: 0,
+      followerCount: 0,
+      followingCount: 0,
+      created_at: createdAt
+    };
 
-      for (const tag of hashtags) {
-        multi.zadd(`hashtag:${tag}:ranked`, finalScore, postId);
-      }
+    // Use Redis transaction for atomicity
+    const multi = redis.multi();
+
+    // Store user hash
+    multi.hset(`user:${username}`, userData);
+
+    // Register in role-based sorted sets (score = creation timestamp)
+    if (role === 'model') {
+      multi.zadd('users:models', createdAt, username);
+      multi.zadd('models:top:engagement', 0, username);
+    } else if (role === 'user') {
+      multi.zadd('users:regular', createdAt, username);
     }
 
-    // Update models:top:engagement if post owner is a model
-    const authorRole = postData.user_role || await trackedRedis.hget(`user:${postData.user_id}`, 'role');
-    if (authorRole === 'model') {
-      multi.zincrby('models:top:engagement', 1, postData.user_id);
+    // Private accounts are hidden from non-followers (see getHiddenAuthors)
+    if (userData.is_private === 'true') {
+      multi.sadd('users:private', username);
     }
 
-    await multi.exec();
+    // Add to user search and autocomplete index
+    queueUserSearchIndex(multi, userData);
 
-    // Invalidate post cache
-    delete postCache[postId];
-    invalidateFeedCaches();
+    try {
+      await multi.exec();
+    } catch (err) {
+      // Release the claimed username so the create can be retried
+      await redis.del(`user:${username}`).catch(() => {});
+      throw err;
+    }
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [POST /posts/:id/like] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    // Invalidate relevant caches
+    invalidateCache({ users: [username] });
+    if (userData.is_private === 'true') {
+      invalidateHiddenAuthorCaches();
+    }
+    invalidateFeedCaches();
 
-    res.json({ message: "Post liked successfully" });
+    res.status(201).json({ user: userData });
   } catch (err) {
-    console.error("Error liking post:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [POST /posts/:id/like] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to like post" });
+    httpLog.error("Error creating user", err);
+    res.status(500).json({ error: "Failed to create user" });
   }
 });
 
-// ===== DELETE /posts/:id/like: Unlike a post =====
-app.delete("/posts/:id/like", async (req, res) => {
+// ===== PATCH /users/:id: Update user profile =====
+// Supports 'me' as :id parameter to update own profile
+// NOTE: API key requests will fail this ownership check since user_id='xano_sync' won't match the target userId
+// If Xano needs to update user profiles directly, consider adding role='admin' bypass or use /redis/write
+app.patch("/users/:id", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const postId = req.params.id;
-    const username = req.user.username;
+    let username = req.params.id;
+    const authenticatedUsername = req.user.username;
+
+    // Resolve 'me' placeholder to authenticated username
+    if (username === 'me') {
+      username = authenticatedUsername;
+    }
+
+    // AUTHORIZATION: Users can only update their own profile
+    // Exception: Admin role or API key can update any profile
+    // API key requests (username='xano_sync') will be blocked unless username param is 'xano_sync'
+    if (username !== authenticatedUsername) {
+      return res.status(403).json({ error: "Not authorized to update this profile" });
+    }
+
+    // NOTE: Some fields have special handling:
+    // - Sensitive fields (email, phone, etc.) can be updated freely
+    // - System fields (postCount, followerCount, etc.) should not be modified directly
+    // - Denormalized fields (username, display_name, avatar) trigger post updates
+
+    const { username: newUsername, display_name, bio, avatar, links, is_private } = req.body;
+
+    if (is_private !== undefined && ![true, false, 'true', 'false'].includes(is_private)) {
+      return res.status(400).json({ error: "is_private must be a boolean" });
+    }
+
+    for (const field of NOTIFICATION_PREFERENCE_FIELDS) {
+      if (req.body[field] !== undefined && ![true, false, 'true', 'false'].includes(req.body[field])) {
+        return res.status(400).json({ error: `${field} must be a boolean` });
+      }
+    }
 
     const trackedRedis = createTrackedRedis(requestId);
 
-    // Check if post exists
-    const postExists = await trackedRedis.exists(`post:${postId}`);
-    if (postExists === 0) {
-      return res.status(404).json({ error: "Post not found" });
+    // Get current user data
+    const currentUserData = await trackedRedis.hgetall(`user:${username}`);
+
+    if (!currentUserData || Object.keys(currentUserData).length === 0) {
+      return res.status(404).json({ error: "User not found" });
     }
 
-    // Check if liked
-    const isLiked = await trackedRedis.sismember(`post:${postId}:likes`, username);
-    if (!isLiked) {
-      return res.status(400).json({ error: "Post not liked" });
+    const oldUsername = currentUserData.username;
+    const usernameChanged = newUsername && newUsername !== oldUsername;
+
+    // Build update object
+    const updates = {};
+    if (newUsername !== undefined) updates.username = newUsername;
+    if (display_name !== undefined) updates.display_name = display_name;
+    if (bio !== undefined) updates.bio = bio;
+    if (avatar !== undefined) updates.avatar = avatar;
+    if (links !== undefined) updates.links = links;
+    if (is_private !== undefined) updates.is_private = String(is_private);
+    for (const field of NOTIFICATION_PREFERENCE_FIELDS) {
+      if (req.body[field] !== undefined) updates[field] = String(req.body[field]);
     }
 
-    // Get post data for ranking updates
-    const postData = await trackedRedis.hgetall(`post:${postId}`);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: "No fields to update" });
+    }
+
+    // IMPORTANT: Username changes are extremely complex with username as primary key
+    // This would require renaming all keys and updating all references
+    // For now, we handle it but recommend making username immutable
+    if (usernameChanged) {
+      return res.status(400).json({
+        error: "Username changes are not supported. Username is immutable as it serves as the primary key."
+      });
+    }
 
     // Use Redis transaction
     const multi = redis.multi();
 
-    // Remove user from likes set
-    multi.srem(`post:${postId}:likes`, username);
+    // Update user hash
+    for (const [key, value] of Object.entries(updates)) {
+      multi.hset(`user:${username}`, key, value);
+    }
 
-    // Decrement likes count
-    multi.hincrby(`post:${postId}`, 'likesCount', -1);
+    // If privacy changed, update the private account index
+    const privacyChanged = updates.is_private !== undefined &&
+      updates.is_private !== (currentUserData.is_private || 'false');
+    if (privacyChanged) {
+      if (updates.is_private === 'true') {
+        multi.sadd('users:private', username);
+      } else {
+        multi.srem('users:private', username);
 
-    // Update ranked feeds if post has hashtags
-    const hashtags = extractHashtags(postData.content);
-    if (hashtags.length > 0) {
-      const currentTime = Date.now();
-      const createdAt = parseInt(postData.created_at);
-      const likesCount = Math.max(0, parseInt(postData.likesCount || 0) - 1);
-      const commentsCount = parseInt(postData.commentsCount || 0);
-      const bookmarksCount = parseInt(postData.bookmarksCount || 0);
+        // Going public approves every pending follow request
+        const requesterUsernames = await trackedRedis.zrange(`user:${username}:follow_requests`, 0, -1);
+        for (const requesterUsername of requesterUsernames) {
+          queueFollowRequestApproval(multi, username, requesterUsername);
+          invalidateCache({ users: [requesterUsername] });
+        }
+        await queueTimelineBackfill(multi, trackedRedis, requesterUsernames, username);
+      }
+    }
 
-      const engagementScore = (likesCount * 3 + commentsCount * 5 + bookmarksCount * 4);
-      const ageInHours = (currentTime - createdAt) / 3600000;
-      const score = engagementScore / (ageInHours + 1);
+    // Reindex name and bio for user search
+    if (display_name !== undefined || bio !== undefined) {
+      queueUserSearchRemoval(multi, currentUserData);
+      queueUserSearchIndex(multi, { ...currentUserData, ...updates });
+    }
 
-      const twoWeeksInMs = 14 * 24 * 3600 * 1000;
-      const finalScore = (currentTime - createdAt) > twoWeeksInMs ? 0 : score;
+    // If avatar changed, update all posts
+    if (avatar !== undefined) {
+      const postIds = await trackedRedis.zrevrange(`user:${username}:posts`, 0, -1);
+      for (const postId of postIds) {
+        multi.hset(`post:${postId}`, 'avatar', avatar);
+        invalidateCache({ posts: [postId] });
+      }
+    }
 
-      for (const tag of hashtags) {
-        multi.zadd(`hashtag:${tag}:ranked`, finalScore, postId);
+    // If display_name changed, update all posts
+    if (display_name !== undefined) {
+      const postIds = await trackedRedis.zrevrange(`user:${username}:posts`, 0, -1);
+      for (const postId of postIds) {
+        multi.hset(`post:${postId}`, 'display_name', display_name);
+        invalidateCache({ posts: [postId] });
       }
     }
 
-    // Update models:top:engagement if post owner is a model
-    const authorRole = postData.user_role || await trackedRedis.hget(`user:${postData.user_id}`, 'role');
-    if (authorRole === 'model') {
-      multi.zincrby('models:top:engagement', -1, postData.user_id);
+    // If avatar or display_name changed, update all comments authored by the user
+    if (avatar !== undefined || display_name !== undefined) {
+      const commentIds = await trackedRedis.zrange(`user:${username}:comments`, 0, -1);
+      for (const commentId of commentIds) {
+        if (avatar !== undefined) multi.hset(`comment:${commentId}`, 'avatar', avatar);
+        if (display_name !== undefined) multi.hset(`comment:${commentId}`, 'display_name', display_name);
+      }
     }
 
     await multi.exec();
 
-    // Invalidate post cache
-    delete postCache[postId];
+    // Invalidate user cache and the user's profile cache for all viewers
+    invalidateCache({ users: [username], prefixes: [`user_profile_${username}_`] });
+    if (privacyChanged) {
+      invalidateHiddenAuthorCaches();
+    }
     invalidateFeedCaches();
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [DELETE /posts/:id/like] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-
-    res.json({ message: "Post unliked successfully" });
+    res.json({ message: "Profile updated successfully", updates });
   } catch (err) {
-    console.error("Error unliking post:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [DELETE /posts/:id/like] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to unlike post" });
+    httpLog.error("Error updating profile", err);
+    res.status(500).json({ error: "Failed to update profile" });
   }
 });
 
-// ===== POST /posts/:id/bookmark: Bookmark a post =====
-app.post("/posts/:id/bookmark", async (req, res) => {
+// ===== DELETE /users/:id: Delete user account with cascading cleanup =====
+// Supports 'me' as :id parameter to delete own account
+app.delete("/users/:id", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const postId = req.params.id;
-    const username = req.user.username;
+    let username = req.params.id;
+    const authenticatedUsername = req.user.username;
+    const userRole = req.user.role;
 
-    const trackedRedis = createTrackedRedis(requestId);
+    // Resolve 'me' placeholder to authenticated username
+    if (username === 'me') {
+      username = authenticatedUsername;
+    }
 
-    // Check if post exists
-    const postExists = await trackedRedis.exists(`post:${postId}`);
-    if (postExists === 0) {
-      return res.status(404).json({ error: "Post not found" });
+    // Only allow self-deletion or admin deletion
+    if (username !== authenticatedUsername && userRole !== 'admin') {
+      return res.status(403).json({ error: "Not authorized to delete this user" });
     }
 
-    // Check if already bookmarked
-    const alreadyBookmarked = await trackedRedis.sismember(`post:${postId}:bookmarks`, username);
-    if (alreadyBookmarked) {
-      return res.status(400).json({ error: "Post already bookmarked" });
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Get user data
+    const userData = await trackedRedis.hgetall(`user:${username}`);
+
+    if (!userData || Object.keys(userData).length === 0) {
+      return res.status(404).json({ error: "User not found" });
     }
 
-    // Get post data for ranking updates
-    const postData = await trackedRedis.hgetall(`post:${postId}`);
-    const timestamp = Date.now();
+    httpLog.info("Deleting user", { user: username });
 
-    // Use Redis transaction
-    const multi = redis.multi();
+    // Get all user's posts
+    const userPostIds = await trackedRedis.zrevrange(`user:${username}:posts`, 0, -1);
+    httpLog.info("Deleting user posts", { user: username, posts: userPostIds.length });
 
-    // Add user to bookmarks set
-    multi.sadd(`post:${postId}:bookmarks`, username);
+    // Delete each post (reuse post deletion logic)
+    for (const postId of userPostIds) {
+      const postData = await trackedRedis.hgetall(`post:${postId}`);
+      if (postData && Object.keys(postData).length > 0) {
+        const hashtags = extractHashtags(postData.content);
+        const rootCommentIds = await trackedRedis.zrange(`post:${postId}:comments`, 0, -1);
 
-    // Add to user's bookmarked sorted set
-    multi.zadd(`user:${username}:bookmarked`, timestamp, postId);
+        const multi = redis.multi();
 
-    // Increment bookmarks count
-    multi.hincrby(`post:${postId}`, 'bookmarksCount', 1);
+        // Remove from feeds
+        multi.zrem('explore:feed', postId);
+        multi.zrem('trending:posts', postId);
+        multi.zrem(`user:${username}:posts`, postId);
+        queuePostSearchRemoval(multi, postId, postData.content);
+        queueMentionRemoval(multi, `post:${postId}`, parseMentionsField(postData.mentions));
 
-    // Update ranked feeds if post has hashtags
-    const hashtags = extractHashtags(postData.content);
-    if (hashtags.length > 0) {
-      const currentTime = Date.now();
-      const createdAt = parseInt(postData.created_at);
-      const likesCount = parseInt(postData.likesCount || 0);
-      const commentsCount = parseInt(postData.commentsCount || 0);
-      const bookmarksCount = parseInt(postData.bookmarksCount || 0) + 1;
+        for (const hashtagId of hashtags) {
+          multi.zrem(`hashtag:${hashtagId}:posts`, postId);
+          multi.zrem(`hashtag:${hashtagId}:ranked`, postId);
+        }
 
-      const engagementScore = (likesCount * 3 + commentsCount * 5 + bookmarksCount * 4);
-      const ageInHours = (currentTime - createdAt) / 3600000;
-      const score = engagementScore / (ageInHours + 1);
+        // Delete comments, interaction sets and post
+        await queueCommentTreeDeletion(multi, trackedRedis, rootCommentIds);
+        multi.del(`post:${postId}:likes`);
+        multi.del(`post:${postId}:bookmarks`);
+        multi.del(`post:${postId}:comments`);
+        multi.del(`post:${postId}:history`);
+        multi.del(`post:${postId}`);
+        queueReportDeletion(multi, 'post', postId);
 
-      const twoWeeksInMs = 14 * 24 * 3600 * 1000;
-      const finalScore = (currentTime - createdAt) > twoWeeksInMs ? 0 : score;
+        await multi.exec();
 
-      for (const tag of hashtags) {
-        multi.zadd(`hashtag:${tag}:ranked`, finalScore, postId);
+        // Invalidate post cache
+        invalidateCache({ posts: [postId] });
       }
     }
 
-    // Update models:top:engagement if post owner is a model
-    const authorRole = postData.user_role || await trackedRedis.hget(`user:${postData.user_id}`, 'role');
-    if (authorRole === 'model') {
-      multi.zincrby('models:top:engagement', 1, postData.user_id);
+    // Delete the user's comments and replies on other users' posts (comments on their own posts
+    // were removed with the posts above), along with every reply under them
+    const userCommentIds = await trackedRedis.zrange(`user:${username}:comments`, 0, -1);
+    const deletedCommentIds = new Set();
+    for (const commentId of userCommentIds) {
+      if (deletedCommentIds.has(commentId)) continue;
+
+      const commentData = await trackedRedis.hgetall(`comment:${commentId}`);
+      if (!commentData || Object.keys(commentData).length === 0) continue;
+
+      const postId = commentData.post_id;
+      const postData = await trackedRedis.hgetall(`post:${postId}`);
+
+      const multi = redis.multi();
+      const deletedIds = await queueCommentTreeDeletion(multi, trackedRedis, [commentId]);
+      deletedIds.forEach(id => deletedCommentIds.add(id));
+
+      // Detach from parent comment or post
+      if (commentData.parent_id) {
+        multi.zrem(`comment:${commentData.parent_id}:replies`, commentId);
+        multi.hincrby(`comment:${commentData.parent_id}`, 'repliesCount', -1);
+      } else {
+        multi.zrem(`post:${postId}:comments`, commentId);
+      }
+
+      if (postData && Object.keys(postData).length > 0) {
+        multi.hincrby(`post:${postId}`, 'commentsCount', -deletedIds.length);
+        await queueEngagementChange(multi, trackedRedis, postId, postData, { commentsCount: -deletedIds.length });
+      }
+
+      await multi.exec();
+      publishPostCounts(postId);
+      invalidateCache({ posts: [postId] });
     }
+    httpLog.info("Deleted user comments on other users' posts", { user: username, comments: deletedCommentIds.size });
 
-    await multi.exec();
+    // Get all liked posts and remove user from likes sets (username now stored in interaction sets)
+    const explorePosts = await trackedRedis.zrevrange('explore:feed', 0, 999);
+    httpLog.info("Removing user interactions", { user: username, posts_checked: explorePosts.length });
 
-    // Invalidate post cache
-    delete postCache[postId];
-    invalidateFeedCaches();
+    const cleanupMulti = redis.multi();
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [POST /posts/:id/bookmark] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    // Check which posts the user actually liked to decrement likesCount
+    const likeCheckPipeline = trackedRedis.pipeline();
+    for (const postId of explorePosts) {
+      likeCheckPipeline.sismember(`post:${postId}:likes`, username);
+    }
+    const likeCheckResults = await likeCheckPipeline.exec();
 
-    res.json({ message: "Post bookmarked successfully" });
-  } catch (err) {
-    console.error("Error bookmarking post:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [POST /posts/:id/bookmark] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to bookmark post" });
-  }
-});
+    for (let i = 0; i < explorePosts.length; i++) {
+      const postId = explorePosts[i];
+      const [err, wasLiked] = likeCheckResults[i];
 
-// ===== DELETE /posts/:id/bookmark: Remove bookmark from a post =====
-app.delete("/posts/:id/bookmark", async (req, res) => {
-  const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
+      if (!err && wasLiked === 1) {
+        cleanupMulti.hincrby(`post:${postId}`, 'likesCount', -1);
+      }
 
-  try {
-    const postId = req.params.id;
-    const username = req.user.username;
+      cleanupMulti.srem(`post:${postId}:likes`, username);
+      cleanupMulti.srem(`post:${postId}:bookmarks`, username);
+    }
 
-    const trackedRedis = createTrackedRedis(requestId);
+    // Get bookmarked posts for cleanup
+    const bookmarkedPosts = await trackedRedis.zrevrange(`user:${username}:bookmarked`, 0, -1);
+    for (const postId of bookmarkedPosts) {
+      cleanupMulti.hincrby(`post:${postId}`, 'bookmarksCount', -1);
+    }
 
-    // Check if post exists
-    const postExists = await trackedRedis.exists(`post:${postId}`);
-    if (postExists === 0) {
-      return res.status(404).json({ error: "Post not found" });
+    // Remove the user's posts from followers' home timelines and drop the user's own timeline
+    await queuePostTimelineRemoval(cleanupMulti, trackedRedis, username, userPostIds);
+    cleanupMulti.del(`timeline:${username}`);
+    cleanupMulti.srem('timelines:built', username);
+    cleanupMulti.srem('timeline:pull_accounts', username);
+
+    // Delete all user keys
+    cleanupMulti.del(`user:${username}`);
+    cleanupMulti.del(`user:${username}:posts`);
+    cleanupMulti.del(`user:${username}:bookmarked`);
+    cleanupMulti.del(`user:${username}:following`);
+    cleanupMulti.del(`user:${username}:followers`);
+    cleanupMulti.del(`user:${username}:comments`);
+    cleanupMulti.del(`user:${username}:mentions`);
+    cleanupMulti.del(`user:${username}:notifications`);
+
+    // Remove block relationships in both directions
+    const blockedUsernames = await trackedRedis.smembers(`user:${username}:blocked`);
+    const blockedByUsernames = await trackedRedis.smembers(`user:${username}:blocked_by`);
+    for (const blockedUsername of blockedUsernames) {
+      cleanupMulti.srem(`user:${blockedUsername}:blocked_by`, username);
+      invalidateCache({ keys: [`hidden_authors_${blockedUsername}`] });
+    }
+    for (const blockerUsername of blockedByUsernames) {
+      cleanupMulti.srem(`user:${blockerUsername}:blocked`, username);
+      invalidateCache({ keys: [`hidden_authors_${blockerUsername}`] });
+    }
+    cleanupMulti.del(`user:${username}:blocked`);
+    cleanupMulti.del(`user:${username}:blocked_by`);
+    cleanupMulti.del(`user:${username}:muted`);
+
+    // Remove pending follow requests in both directions
+    const requesterUsernames = await trackedRedis.zrange(`user:${username}:follow_requests`, 0, -1);
+    const requestedUsernames = await trackedRedis.smembers(`user:${username}:follow_requests_sent`);
+    for (const requesterUsername of requesterUsernames) {
+      cleanupMulti.srem(`user:${requesterUsername}:follow_requests_sent`, username);
     }
+    for (const requestedUsername of requestedUsernames) {
+      cleanupMulti.zrem(`user:${requestedUsername}:follow_requests`, username);
+    }
+    cleanupMulti.del(`user:${username}:follow_requests`);
+    cleanupMulti.del(`user:${username}:follow_requests_sent`);
+    cleanupMulti.srem('users:private', username);
 
-    // Check if bookmarked
-    const isBookmarked = await trackedRedis.sismember(`post:${postId}:bookmarks`, username);
-    if (!isBookmarked) {
-      return res.status(400).json({ error: "Post not bookmarked" });
+    // Remove pending reports against this user
+    queueReportDeletion(cleanupMulti, 'user', username);
+
+    // Remove from role-based sorted sets (now stores usernames instead of UUIDs)
+    const role = userData.role || 'user';
+    if (role === 'model') {
+      cleanupMulti.zrem('users:models', username);
+      cleanupMulti.zrem('models:top:engagement', username);
+    } else {
+      cleanupMulti.zrem('users:regular', username);
     }
 
-    // Get post data for ranking updates
-    const postData = await trackedRedis.hgetall(`post:${postId}`);
+    // Remove from the user search and autocomplete index
+    queueUserSearchRemoval(cleanupMulti, userData);
 
-    // Use Redis transaction
-    const multi = redis.multi();
+    await cleanupMulti.exec();
 
-    // Remove user from bookmarks set
-    multi.srem(`post:${postId}:bookmarks`, username);
+    // Invalidate all caches (feed caches cover the user's posts, bookmarks and following feed)
+    invalidateCache({
+      keys: [`hidden_authors_${username}`],
+      prefixes: [`user_profile_${username}_`],
+      users: [username]
+    });
+    if (userData.is_private === 'true') {
+      invalidateHiddenAuthorCaches();
+    }
+    invalidateFeedCaches();
 
-    // Remove from user's bookmarked sorted set
-    multi.zrem(`user:${username}:bookmarked`, postId);
+    res.json({ message: "User deleted successfully", postsDeleted: userPostIds.length });
+  } catch (err) {
+    httpLog.error("Error deleting user", err);
+    res.status(500).json({ error: "Failed to delete user" });
+  }
+});
 
-    // Decrement bookmarks count
-    multi.hincrby(`post:${postId}`, 'bookmarksCount', -1);
+// ===== GET /users/:id: Get user profile with privacy controls =====
+// Supports 'me' as :id parameter to fetch own profile with all fields
+app.get("/users/:id", async (req, res) => {
+  const requestId = getRequestId();
 
-    // Update ranked feeds if post has hashtags
-    const hashtags = extractHashtags(postData.content);
-    if (hashtags.length > 0) {
-      const currentTime = Date.now();
-      const createdAt = parseInt(postData.created_at);
-      const likesCount = parseInt(postData.likesCount || 0);
-      const commentsCount = parseInt(postData.commentsCount || 0);
-      const bookmarksCount = Math.max(0, parseInt(postData.bookmarksCount || 0) - 1);
+  try {
+    let username = req.params.id;
+    const authenticatedUsername = req.user.username;
 
-      const engagementScore = (likesCount * 3 + commentsCount * 5 + bookmarksCount * 4);
-      const ageInHours = (currentTime - createdAt) / 3600000;
-      const score = engagementScore / (ageInHours + 1);
+    httpLog.debug("Fetching user profile", { param: username, viewer: authenticatedUsername });
 
-      const twoWeeksInMs = 14 * 24 * 3600 * 1000;
-      const finalScore = (currentTime - createdAt) > twoWeeksInMs ? 0 : score;
+    // Resolve 'me' placeholder to authenticated username
+    if (username === 'me') {
+      username = authenticatedUsername;
+      httpLog.debug("Resolved 'me' to the authenticated user", { user: username });
+    }
 
-      for (const tag of hashtags) {
-        multi.zadd(`hashtag:${tag}:ranked`, finalScore, postId);
-      }
+    // Build viewer-specific cache key
+    const cacheKey = `user_profile_${username}_${authenticatedUsername}`;
+
+    // Check cache first
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    // Update models:top:engagement if post owner is a model
-    const authorRole = postData.user_role || await trackedRedis.hget(`user:${postData.user_id}`, 'role');
-    if (authorRole === 'model') {
-      multi.zincrby('models:top:engagement', -1, postData.user_id);
+    cacheLog.debug("Cache miss", { key: cacheKey });
+
+    const trackedRedis = createTrackedRedis(requestId);
+
+    // Fetch user data from Redis
+    const redisKey = `user:${username}`;
+    httpLog.debug("Fetching user profile from Redis", { key: redisKey });
+    const userData = await trackedRedis.hgetall(redisKey);
+
+    if (!userData || Object.keys(userData).length === 0) {
+      return res.status(404).json({ error: "User not found" });
     }
 
-    await multi.exec();
+    // PRIVACY: Sanitize user data based on viewer relationship
+    // - If viewing own profile (username === authenticatedUsername): return all fields
+    // - If viewing other user: remove sensitive fields (email, phone, etc.)
+    // See SENSITIVE_USER_FIELDS array for complete list of protected fields
+    const sanitized = sanitizeUserData(userData, username, authenticatedUsername);
 
-    // Invalidate post cache
-    delete postCache[postId];
-    invalidateFeedCaches();
+    const response = { user: sanitized };
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [DELETE /posts/:id/bookmark] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    // Cache the sanitized data for ~300s
+    setCache(cacheKey, response, 300);
 
-    res.json({ message: "Bookmark removed successfully" });
+    res.json(response);
   } catch (err) {
-    console.error("Error removing bookmark:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [DELETE /posts/:id/bookmark] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to remove bookmark" });
+    httpLog.error("Error fetching user profile", err);
+    res.status(500).json({ error: "Failed to fetch user profile" });
   }
 });
 
-// ===== GET /users/:id/bookmarked: Get user's bookmarked posts =====
-// Supports 'me' as :id parameter to fetch own bookmarks
-app.get("/users/:id/bookmarked", async (req, res) => {
+// ===== GET /feed/hashtag/:id: Hashtag feed with chronological order =====
+app.get("/feed/hashtag/:id", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    let username = req.params.id;
-    const authenticatedUsername = req.user.username;
-
-    // Resolve 'me' placeholder to authenticated username
-    if (username === 'me') {
-      username = authenticatedUsername;
-    }
-
-    // Only allow users to view their own bookmarks
-    if (username !== authenticatedUsername) {
-      return res.status(403).json({ error: "Not authorized to view bookmarks" });
+    const hashtagId = req.params.id;
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
     }
-
-    const offset = parseInt(req.query.offset) || 0;
-    let limit = parseInt(req.query.limit) || 20;
     const includeUser = req.query.includeUser !== 'false';
 
-    if (limit > 100) limit = 100;
+    const trackedRedis = createTrackedRedis(requestId);
+    const authenticatedUsername = req.user ? req.user.username : null;
 
-    const cacheKey = `bookmarked_${username}_${offset}_${limit}_${includeUser}`;
+    // Hide blocked/muted authors (viewer-specific cache only when the viewer hides someone)
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, authenticatedUsername);
+    const cacheKey = hiddenAuthors.size > 0
+      ? `hashtag_feed_${hashtagId}_${page.position}_${page.limit}_${includeUser}_${authenticatedUsername}`
+      : `hashtag_feed_${hashtagId}_${page.position}_${page.limit}_${includeUser}`;
 
     const cached = getCached(cacheKey);
     if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /users/:id/bookmarked] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines`);
-      cleanupRedisCounter(requestId);
       return res.json(cached);
     }
 
-    const trackedRedis = createTrackedRedis(requestId);
-
-    // Fetch bookmarked posts with pagination
-    const bufferMultiplier = 2;
-    const bufferSize = limit * bufferMultiplier;
-    let currentOffset = offset;
-    let posts = [];
-
-    while (posts.length < limit) {
-      const postIds = await trackedRedis.zrevrange(
-        `user:${username}:bookmarked`,
-        currentOffset,
-        currentOffset + bufferSize - 1
-      );
-
-      if (postIds.length === 0) break;
-
-      const aggregated = await aggregatePostsWithUsers(postIds, requestId, includeUser, authenticatedUsername);
-      posts.push(...aggregated);
-
-      if (posts.length >= limit) {
-        posts = posts.slice(0, limit);
-        break;
-      }
-
-      currentOffset += postIds.length;
-    }
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, `hashtag:${hashtagId}:posts`, page, postIds =>
+      aggregatePostsWithUsers(postIds, requestId, includeUser, authenticatedUsername, hiddenAuthors)
+    );
 
     const response = {
       posts,
-      pagination: {
-        offset,
-        limit,
-        count: posts.length
-      }
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
     };
 
     setCache(cacheKey, response, 30);
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /users/:id/bookmarked] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-
     res.json(response);
   } catch (err) {
-    console.error("Error fetching bookmarked posts:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /users/:id/bookmarked] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to fetch bookmarked posts" });
+    httpLog.error("Error fetching hashtag feed", err);
+    res.status(500).json({ error: "Failed to fetch hashtag feed" });
   }
 });
 
-// ===== POST /users/:id/follow: Follow a user =====
-// Supports 'me' as :id parameter (will fail with appropriate error since you cannot follow yourself)
-app.post("/users/:id/follow", async (req, res) => {
+// ===== GET /feed/hashtag/:id/ranked: Hashtag feed with time-decayed ranking =====
+app.get("/feed/hashtag/:id/ranked", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    let targetUsername = req.params.id;
-    const username = req.user.username;
-
-    // Resolve 'me' placeholder to authenticated username (will fail self-follow check)
-    if (targetUsername === 'me') {
-      targetUsername = username;
-    }
-
-    if (targetUsername === username) {
-      return res.status(400).json({ error: "Cannot follow yourself" });
+    const hashtagId = req.params.id;
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
     }
+    const includeUser = req.query.includeUser !== 'false';
 
     const trackedRedis = createTrackedRedis(requestId);
+    const authenticatedUsername = req.user ? req.user.username : null;
 
-    // Check if target user exists
-    const targetUserExists = await trackedRedis.exists(`user:${targetUsername}`);
-    if (targetUserExists === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
+    // Hide blocked/muted authors (viewer-specific cache only when the viewer hides someone)
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, authenticatedUsername);
+    const cacheKey = hiddenAuthors.size > 0
+      ? `hashtag_ranked_${hashtagId}_${page.position}_${page.limit}_${includeUser}_${authenticatedUsername}`
+      : `hashtag_ranked_${hashtagId}_${page.position}_${page.limit}_${includeUser}`;
 
-    // Check if already following
-    const alreadyFollowing = await trackedRedis.sismember(`user:${username}:following`, targetUsername);
-    if (alreadyFollowing) {
-      return res.status(400).json({ error: "Already following this user" });
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    // Use Redis transaction
-    const multi = redis.multi();
-
-    // Add to following set
-    multi.sadd(`user:${username}:following`, targetUsername);
-
-    // Add to target's followers set
-    multi.sadd(`user:${targetUsername}:followers`, username);
-
-    // Increment counts
-    multi.hincrby(`user:${username}`, 'followingCount', 1);
-    multi.hincrby(`user:${targetUsername}`, 'followerCount', 1);
-
-    await multi.exec();
+    // Fetch posts sorted by engagement score (descending)
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, `hashtag:${hashtagId}:ranked`, page, postIds =>
+      aggregatePostsWithUsers(postIds, requestId, includeUser, authenticatedUsername, hiddenAuthors)
+    );
 
-    // Invalidate relevant caches
-    delete cache[`user_profile_${username}_${username}`];
-    delete cache[`user_profile_${targetUsername}_${targetUsername}`];
-    delete userCache[username];
-    delete userCache[targetUsername];
-    invalidateFeedCaches();
+    const response = {
+      posts,
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
+    };
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [POST /users/:id/follow] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    setCache(cacheKey, response, 30);
 
-    res.json({ message: "User followed successfully" });
+    res.json(response);
   } catch (err) {
-    console.error("Error following user:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [POST /users/:id/follow] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to follow user" });
+    httpLog.error("Error fetching ranked hashtag feed", err);
+    res.status(500).json({ error: "Failed to fetch ranked hashtag feed" });
   }
 });
 
-// ===== DELETE /users/:id/follow: Unfollow a user =====
-// Supports 'me' as :id parameter (will fail with appropriate error since you cannot unfollow yourself)
-app.delete("/users/:id/follow", async (req, res) => {
+// ===== GET /feed/following: Following feed with pagination =====
+app.get("/feed/following", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    let targetUsername = req.params.id;
     const username = req.user.username;
-
-    // Resolve 'me' placeholder to authenticated username (will fail self-unfollow check)
-    if (targetUsername === 'me') {
-      targetUsername = username;
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
     }
+    const { limit } = page;
+    const includeUser = req.query.includeUser !== 'false'; // default true
 
-    if (targetUsername === username) {
-      return res.status(400).json({ error: "Cannot unfollow yourself" });
+    const cacheKey = `following_feed_${username}_${page.position}_${limit}_${includeUser}`;
+
+    // Check cache first
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
+    cacheLog.debug("Cache miss", { key: cacheKey });
+
     const trackedRedis = createTrackedRedis(requestId);
 
-    // Check if following
-    const isFollowing = await trackedRedis.sismember(`user:${username}:following`, targetUsername);
-    if (!isFollowing) {
-      return res.status(400).json({ error: "Not following this user" });
+    // Get list of users being followed (now stores usernames instead of UUIDs)
+    const followingIds = await trackedRedis.smembers(`user:${username}:following`);
+
+    // Muted (and blocked) authors are dropped from the feed
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, username);
+
+    feedLog.debug("Loaded following list", { user: username, following: followingIds.length });
+
+    if (followingIds.length === 0) {
+      const response = {
+        posts: [],
+        pagination: buildFeedPagination(page, 0, null)
+      };
+      setCache(cacheKey, response, 30);
+      return res.json(response);
     }
 
-    // Use Redis transaction
-    const multi = redis.multi();
+    const timelineKey = `timeline:${username}`;
 
-    // Remove from following set
-    multi.srem(`user:${username}:following`, targetUsername);
+    // Build the home timeline on first read (accounts that followed users before fan-out existed)
+    const isBuilt = await trackedRedis.sismember('timelines:built', username);
+    if (!isBuilt) {
+      const userPostKeys = followingIds.map(followedUsername => `user:${followedUsername}:posts`);
 
-    // Remove from target's followers set
-    multi.srem(`user:${targetUsername}:followers`, username);
+      const buildMulti = redis.multi();
+      buildMulti.zunionstore(timelineKey, userPostKeys.length, ...userPostKeys, 'AGGREGATE', 'MAX');
+      buildMulti.zremrangebyrank(timelineKey, 0, -(TIMELINE_MAX_LENGTH + 1));
+      buildMulti.sadd('timelines:built', username);
+      await buildMulti.exec();
 
-    // Decrement counts
-    multi.hincrby(`user:${username}`, 'followingCount', -1);
-    multi.hincrby(`user:${targetUsername}`, 'followerCount', -1);
+      feedLog.debug("Built timeline", { key: timelineKey, followed_users: userPostKeys.length });
+    }
 
-    await multi.exec();
+    // Hybrid pull: posts of followed pull accounts are not fanned out, merge them in at read time
+    const pullUsernames = await trackedRedis.sinter(`user:${username}:following`, 'timeline:pull_accounts');
 
-    // Invalidate relevant caches
-    delete cache[`user_profile_${username}_${username}`];
-    delete cache[`user_profile_${targetUsername}_${targetUsername}`];
-    delete userCache[username];
-    delete userCache[targetUsername];
-    invalidateFeedCaches();
+    let feedKey = timelineKey;
+    if (pullUsernames.length > 0) {
+      const tmpKey = `tmp:home:${username}`;
+      const sourceKeys = [timelineKey, ...pullUsernames.map(pullUsername => `user:${pullUsername}:posts`)];
+      await trackedRedis.zunionstore(tmpKey, sourceKeys.length, ...sourceKeys, 'AGGREGATE', 'MAX');
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [DELETE /users/:id/follow] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+      // Set short expiration (15 seconds)
+      await trackedRedis.expire(tmpKey, 15);
 
-    res.json({ message: "User unfollowed successfully" });
+      feedLog.debug("Merged pull accounts", { key: tmpKey, accounts: pullUsernames.length });
+      feedKey = tmpKey;
+    }
+
+    // Fetch buffered batches to account for missing posts/users
+    // Timeline scores are post timestamps, so cursors stay valid when the timeline changes
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, feedKey, page, postIds =>
+      aggregatePostsWithUsers(postIds, requestId, includeUser, username, hiddenAuthors)
+    );
+
+    feedLog.debug("Found valid posts", { feed: "following", count: posts.length });
+
+    const response = {
+      posts,
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
+    };
+
+    // Cache the result for 30 seconds
+    setCache(cacheKey, response, 30);
+
+    res.json(response);
   } catch (err) {
-    console.error("Error unfollowing user:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [DELETE /users/:id/follow] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to unfollow user" });
+    httpLog.error("Error fetching following feed", err);
+    res.status(500).json({ error: "Failed to fetch following feed" });
   }
 });
 
-// ===== PATCH /users/:id: Update user profile =====
-// Supports 'me' as :id parameter to update own profile
-// NOTE: API key requests will fail this ownership check since user_id='xano_sync' won't match the target userId
-// If Xano needs to update user profiles directly, consider adding role='admin' bypass or use /redis/write
-app.patch("/users/:id", async (req, res) => {
+// ===== GET /search/users/newest: Get newest users by role =====
+app.get("/search/users/newest", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    let username = req.params.id;
-    const authenticatedUsername = req.user.username;
+    const role = req.query.role || 'user';
+    let limit = parseInt(req.query.limit) || 10;
 
-    // Resolve 'me' placeholder to authenticated username
-    if (username === 'me') {
-      username = authenticatedUsername;
-    }
+    if (limit > 100) limit = 100;
 
-    // AUTHORIZATION: Users can only update their own profile
-    // Exception: Admin role or API key can update any profile
-    // API key requests (username='xano_sync') will be blocked unless username param is 'xano_sync'
-    if (username !== authenticatedUsername) {
-      return res.status(403).json({ error: "Not authorized to update this profile" });
+    const validRoles = ['user', 'model'];
+    if (!validRoles.includes(role)) {
+      return res.status(400).json({ error: "Invalid role. Must be 'user' or 'model'" });
     }
 
-    // NOTE: Some fields have special handling:
-    // - Sensitive fields (email, phone, etc.) can be updated freely
-    // - System fields (postCount, followerCount, etc.) should not be modified directly
-    // - Denormalized fields (username, display_name, avatar) trigger post updates
-
-    const { username: newUsername, display_name, bio, avatar, links } = req.body;
-
-    const trackedRedis = createTrackedRedis(requestId);
-
-    // Get current user data
-    const currentUserData = await trackedRedis.hgetall(`user:${username}`);
+    const cacheKey = `search_users_newest_${role}_${limit}`;
 
-    if (!currentUserData || Object.keys(currentUserData).length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    const oldUsername = currentUserData.username;
-    const usernameChanged = newUsername && newUsername !== oldUsername;
+    const trackedRedis = createTrackedRedis(requestId);
 
-    // Build update object
-    const updates = {};
-    if (newUsername !== undefined) updates.username = newUsername;
-    if (display_name !== undefined) updates.display_name = display_name;
-    if (bio !== undefined) updates.bio = bio;
-    if (avatar !== undefined) updates.avatar = avatar;
-    if (links !== undefined) updates.links = links;
+    // Fetch from sorted set (score = timestamp, now stores usernames instead of UUIDs)
+    const setKey = role === 'model' ? 'users:models' : 'users:regular';
+    const usernames = await trackedRedis.zrevrange(setKey, 0, limit - 1);
 
-    if (Object.keys(updates).length === 0) {
-      return res.status(400).json({ error: "No fields to update" });
-    }
+    // Fetch user data
+    const users = [];
+    if (usernames.length > 0) {
+      const pipeline = trackedRedis.pipeline();
+      for (const username of usernames) {
+        pipeline.hgetall(`user:${username}`);
+      }
+      const results = await pipeline.exec();
 
-    // IMPORTANT: Username changes are extremely complex with username as primary key
-    // This would require renaming all keys and updating all references
-    // For now, we handle it but recommend making username immutable
-    if (usernameChanged) {
-      return res.status(400).json({
-        error: "Username changes are not supported. Username is immutable as it serves as the primary key."
-      });
+      for (let i = 0; i < usernames.length; i++) {
+        const [, userData] = results[i];
+        if (userData && Object.keys(userData).length > 0) {
+          // PRIVACY: Sanitize all user data in search results
+          // Search results never include sensitive fields (email, phone, etc.)
+          const sanitized = sanitizeUserData(userData, usernames[i], null);
+          users.push(sanitized);
+        }
+      }
     }
 
-    // Use Redis transaction
-    const multi = redis.multi();
+    const response = { users, count: users.length };
 
-    // Update user hash
-    for (const [key, value] of Object.entries(updates)) {
-      multi.hset(`user:${username}`, key, value);
-    }
+    setCache(cacheKey, response, 60);
 
-    // If avatar changed, update all posts
-    if (avatar !== undefined) {
-      const postIds = await trackedRedis.zrevrange(`user:${username}:posts`, 0, -1);
-      for (const postId of postIds) {
-        multi.hset(`post:${postId}`, 'avatar', avatar);
-        delete postCache[postId];
-      }
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error searching users", err);
+    res.status(500).json({ error: "Failed to search users" });
+  }
+});
+
+// ===== GET /search/posts: Full-text post search =====
+// Posts containing every word of q, newest first
+app.get("/search/posts", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const tokens = tokenizeSearchText(query);
+    if (tokens.length === 0) {
+      return res.status(400).json({ error: `Provide a q query parameter with at least one word of ${SEARCH_MIN_TOKEN_LENGTH}+ characters` });
     }
 
-    // If display_name changed, update all posts
-    if (display_name !== undefined) {
-      const postIds = await trackedRedis.zrevrange(`user:${username}:posts`, 0, -1);
-      for (const postId of postIds) {
-        multi.hset(`post:${postId}`, 'display_name', display_name);
-        delete postCache[postId];
-      }
+    // Offset or cursor pagination (see paginateFeed)
+    const page = parseFeedPage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: "Invalid cursor" });
     }
 
-    await multi.exec();
+    const trackedRedis = createTrackedRedis(requestId);
+    const authenticatedUsername = req.user.username;
 
-    // Invalidate user cache
-    delete userCache[username];
-    invalidateFeedCaches();
-    for (const key in cache) {
-      if (key.includes(`user_profile_${username}`)) {
-        delete cache[key];
-      }
+    // Same visibility as feeds: hide blocked/muted authors and private accounts the viewer doesn't follow
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, authenticatedUsername);
+    const cacheKey = hiddenAuthors.size > 0
+      ? `search_posts_${[...tokens].sort().join('+')}_${page.position}_${page.limit}_${authenticatedUsername}`
+      : `search_posts_${[...tokens].sort().join('+')}_${page.position}_${page.limit}`;
+
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [PATCH /users/:id] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    const resultKey = await buildPostSearchResults(trackedRedis, tokens);
+    const { items: posts, nextCursor } = await paginateFeed(trackedRedis, resultKey, page, postIds =>
+      aggregatePostsWithUsers(postIds, requestId, true, authenticatedUsername, hiddenAuthors)
+    );
 
-    res.json({ message: "Profile updated successfully", updates });
+    const response = {
+      query,
+      posts,
+      pagination: buildFeedPagination(page, posts.length, nextCursor)
+    };
+
+    setCache(cacheKey, response, 30);
+
+    res.json(response);
   } catch (err) {
-    console.error("Error updating profile:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [PATCH /users/:id] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to update profile" });
+    httpLog.error("Error searching posts", err);
+    res.status(500).json({ error: "Failed to search posts" });
   }
 });
 
-// ===== DELETE /users/:id: Delete user account with cascading cleanup =====
-// Supports 'me' as :id parameter to delete own account
-app.delete("/users/:id", async (req, res) => {
+// ===== GET /search/users: Search users by name or bio =====
+// Prefix match on username/display name (ranked first), word match on bio; then by follower count
+app.get("/search/users", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    let username = req.params.id;
+    const query = typeof req.query.q === 'string'
+      ? req.query.q.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 100)
+      : '';
+    if (!query) {
+      return res.status(400).json({ error: "Provide a q query parameter" });
+    }
+
+    const offset = parseInt(req.query.offset) || 0;
+    let limit = parseInt(req.query.limit) || 20;
+    if (limit > 100) limit = 100;
+
+    const trackedRedis = createTrackedRedis(requestId);
     const authenticatedUsername = req.user.username;
-    const userRole = req.user.role;
+    const tokens = tokenizeSearchText(query);
 
-    // Resolve 'me' placeholder to authenticated username
-    if (username === 'me') {
-      username = authenticatedUsername;
+    const cacheKey = `search_users_match_${query}_${offset}_${limit}_${authenticatedUsername}`;
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    // Only allow self-deletion or admin deletion
-    if (username !== authenticatedUsername && userRole !== 'admin') {
-      return res.status(403).json({ error: "Not authorized to delete this user" });
+    const candidates = await findUserSearchCandidates(trackedRedis, query, tokens);
+
+    // Fetch profiles and the viewer's block lists in one round trip
+    const pipeline = trackedRedis.pipeline();
+    pipeline.smembers(`user:${authenticatedUsername}:blocked`);
+    pipeline.smembers(`user:${authenticatedUsername}:blocked_by`);
+    for (const username of candidates) {
+      pipeline.hgetall(`user:${username}`);
     }
+    const results = await pipeline.exec();
 
-    const trackedRedis = createTrackedRedis(requestId);
+    const blocked = new Set([...(results[0][1] || []), ...(results[1][1] || [])]);
 
-    // Get user data
-    const userData = await trackedRedis.hgetall(`user:${username}`);
+    const matches = [];
+    for (let i = 0; i < candidates.length; i++) {
+      const [, userData] = results[i + 2];
+      if (!userData || Object.keys(userData).length === 0) continue;
+      if (blocked.has(candidates[i])) continue;
 
-    if (!userData || Object.keys(userData).length === 0) {
-      return res.status(404).json({ error: "User not found" });
+      matches.push({
+        userData,
+        username: candidates[i],
+        nameMatch: getUserNameTerms(userData).some(term => term.startsWith(query)),
+        followerCount: parseInt(userData.followerCount || 0)
+      });
     }
 
-    console.log(`[DELETE /users/:id] Starting deletion for user ${username}`);
+    matches.sort((a, b) => (b.nameMatch - a.nameMatch) || (b.followerCount - a.followerCount));
 
-    // Get all user's posts
-    const userPostIds = await trackedRedis.zrevrange(`user:${username}:posts`, 0, -1);
-    console.log(`[DELETE /users/:id] Found ${userPostIds.length} posts to delete`);
+    // PRIVACY: Search results never include sensitive fields (email, phone, etc.)
+    const users = matches
+      .slice(offset, offset + limit)
+      .map(match => sanitizeUserData(match.userData, match.username, null));
 
-    // Delete each post (reuse post deletion logic)
-    for (const postId of userPostIds) {
-      const postData = await trackedRedis.hgetall(`post:${postId}`);
-      if (postData && Object.keys(postData).length > 0) {
-        const hashtagMatches = postData.content.match(/#(\w+)/g) || [];
-        const hashtags = hashtagMatches.map(tag => tag.substring(1));
+    const response = {
+      query,
+      users,
+      pagination: { offset, limit, count: users.length, total: matches.length }
+    };
 
-        const multi = redis.multi();
+    setCache(cacheKey, response, 30);
 
-        // Remove from feeds
-        multi.zrem('explore:feed', postId);
-        multi.zrem(`user:${username}:posts`, postId);
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error searching users", err);
+    res.status(500).json({ error: "Failed to search users" });
+  }
+});
 
-        for (const hashtagId of hashtags) {
-          multi.zrem(`hashtag:${hashtagId}:posts`, postId);
-          multi.zrem(`hashtag:${hashtagId}:ranked`, postId);
-        }
+// ===== GET /search/users/autocomplete: Username typeahead =====
+// Prefix lookup on search:users:names (ZRANGEBYLEX), ranked by follower count.
+// Only the first AUTOCOMPLETE_CANDIDATE_LIMIT name matches are ranked, which keeps lookups fast
+// for short prefixes.
+const AUTOCOMPLETE_CANDIDATE_LIMIT = 200;
 
-        // Delete interaction sets and post
-        multi.del(`post:${postId}:likes`);
-        multi.del(`post:${postId}:bookmarks`);
-        multi.del(`post:${postId}:comments`);
-        multi.del(`post:${postId}`);
+app.get("/search/users/autocomplete", async (req, res) => {
+  const requestId = getRequestId();
 
-        await multi.exec();
+  try {
+    // "@jo" from a mention box is the same as "jo"
+    const prefix = typeof req.query.prefix === 'string'
+      ? req.query.prefix.trim().replace(/^@/, '').toLowerCase().slice(0, 50)
+      : '';
+    if (!prefix) {
+      return res.status(400).json({ error: "Provide a prefix query parameter" });
+    }
 
-        // Invalidate post cache
-        delete postCache[postId];
+    let limit = parseInt(req.query.limit) || 10;
+    if (limit > 50) limit = 50;
+    if (limit < 1) limit = 1;
+
+    const trackedRedis = createTrackedRedis(requestId);
+    const authenticatedUsername = req.user.username;
+
+    // Ranked matches are shared by all viewers; block lists are applied per request
+    const cacheKey = `search_users_autocomplete_${prefix}`;
+    let ranked = getCached(cacheKey);
+
+    if (!ranked) {
+      const prefixBytes = Buffer.from(prefix);
+      const entries = await trackedRedis.zrangebylex(
+        'search:users:names',
+        Buffer.concat([Buffer.from('['), prefixBytes]),
+        Buffer.concat([Buffer.from('['), prefixBytes, Buffer.from([0xff])]),
+        'LIMIT', 0, AUTOCOMPLETE_CANDIDATE_LIMIT
+      );
+
+      // One user can match through several name terms
+      const usernames = [...new Set(entries.map(entry => entry.slice(entry.indexOf(SEARCH_NAME_SEPARATOR) + 1)))];
+
+      ranked = [];
+      if (usernames.length > 0) {
+        const pipeline = trackedRedis.pipeline();
+        for (const username of usernames) {
+          pipeline.hmget(`user:${username}`, 'username', 'display_name', 'avatar', 'role', 'followerCount');
+        }
+        const results = await pipeline.exec();
+
+        for (const [, fields] of results) {
+          const [username, displayName, avatar, role, followerCount] = fields || [];
+          if (!username) continue;
+
+          ranked.push({
+            username,
+            display_name: displayName || username,
+            avatar: avatar || '',
+            role: role || 'user',
+            followerCount: parseInt(followerCount || 0)
+          });
+        }
+        ranked.sort((a, b) => (b.followerCount - a.followerCount) || a.username.localeCompare(b.username));
       }
+
+      setCache(cacheKey, ranked, 30);
     }
 
-    // Get all liked posts and remove user from likes sets (username now stored in interaction sets)
-    const explorePosts = await trackedRedis.zrevrange('explore:feed', 0, 999);
-    console.log(`[DELETE /users/:id] Checking ${explorePosts.length} posts for user interactions`);
+    const pipeline = trackedRedis.pipeline();
+    pipeline.smembers(`user:${authenticatedUsername}:blocked`);
+    pipeline.smembers(`user:${authenticatedUsername}:blocked_by`);
+    const [[, blockedUsers], [, blockedByUsers]] = await pipeline.exec();
+    const blocked = new Set([...(blockedUsers || []), ...(blockedByUsers || [])]);
 
-    const cleanupMulti = redis.multi();
+    const users = ranked.filter(user => !blocked.has(user.username)).slice(0, limit);
 
-    // Check which posts the user actually liked to decrement likesCount
-    const likeCheckPipeline = trackedRedis.pipeline();
-    for (const postId of explorePosts) {
-      likeCheckPipeline.sismember(`post:${postId}:likes`, username);
-    }
-    const likeCheckResults = await likeCheckPipeline.exec();
+    res.json({ prefix, users });
+  } catch (err) {
+    httpLog.error("Error autocompleting users", err);
+    res.status(500).json({ error: "Failed to autocomplete users" });
+  }
+});
 
-    for (let i = 0; i < explorePosts.length; i++) {
-      const postId = explorePosts[i];
-      const [err, wasLiked] = likeCheckResults[i];
+// ===== GET /search/hashtags/top-posts: Get top posts from multiple hashtags =====
+app.get("/search/hashtags/top-posts", async (req, res) => {
+  const requestId = getRequestId();
 
-      if (!err && wasLiked === 1) {
-        cleanupMulti.hincrby(`post:${postId}`, 'likesCount', -1);
-      }
+  try {
+    const hashtagIds = req.query.hashtags ? req.query.hashtags.split(',') : [];
+    let postsPerHashtag = parseInt(req.query.postsPerHashtag) || 5;
 
-      cleanupMulti.srem(`post:${postId}:likes`, username);
-      cleanupMulti.srem(`post:${postId}:bookmarks`, username);
+    // Validate postsPerHashtag (limit to reasonable range)
+    if (postsPerHashtag > 50) postsPerHashtag = 50;
+    if (postsPerHashtag < 1) postsPerHashtag = 1;
+
+    if (hashtagIds.length === 0) {
+      return res.status(400).json({ error: "Provide hashtags query parameter (comma-separated)" });
     }
 
-    // Get bookmarked posts for cleanup
-    const bookmarkedPosts = await trackedRedis.zrevrange(`user:${username}:bookmarked`, 0, -1);
-    for (const postId of bookmarkedPosts) {
-      cleanupMulti.hincrby(`post:${postId}`, 'bookmarksCount', -1);
+    if (hashtagIds.length > 12) {
+      return res.status(400).json({ error: "Maximum 12 hashtags allowed" });
     }
 
-    // Delete all user keys
-    cleanupMulti.del(`user:${username}`);
-    cleanupMulti.del(`user:${username}:posts`);
-    cleanupMulti.del(`user:${username}:bookmarked`);
-    cleanupMulti.del(`user:${username}:following`);
-    cleanupMulti.del(`user:${username}:followers`);
+    const trackedRedis = createTrackedRedis(requestId);
+    const authenticatedUsername = req.user?.username ?? null;
 
-    // Remove from role-based sorted sets (now stores usernames instead of UUIDs)
-    const role = userData.role || 'user';
-    if (role === 'model') {
-      cleanupMulti.zrem('users:models', username);
-      cleanupMulti.zrem('models:top:engagement', username);
-    } else {
-      cleanupMulti.zrem('users:regular', username);
+    // Hide blocked/muted authors (viewer-specific cache only when the viewer hides someone)
+    const hiddenAuthors = await getHiddenAuthors(trackedRedis, authenticatedUsername);
+    const cacheKey = hiddenAuthors.size > 0
+      ? `search_hashtags_top_${hashtagIds.join('_')}_${postsPerHashtag}_${authenticatedUsername}`
+      : `search_hashtags_top_${hashtagIds.join('_')}_${postsPerHashtag}`;
+
+    const cached = getCached(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    await cleanupMulti.exec();
+    const hashtagResults = {};
 
-    // Invalidate all caches
-    delete userCache[username];
-    invalidateFeedCaches();
-    for (const key in cache) {
-      if (key.includes(username)) {
-        delete cache[key];
+    for (const hashtagId of hashtagIds) {
+      // Fetch top posts from ranked feed
+      const postIds = await trackedRedis.zrevrange(
+        `hashtag:${hashtagId}:ranked`,
+        0,
+        postsPerHashtag - 1
+      );
+
+      if (postIds.length > 0) {
+        const posts = await aggregatePostsWithUsers(postIds, requestId, true, authenticatedUsername, hiddenAuthors);
+        hashtagResults[hashtagId] = posts;
+      } else {
+        hashtagResults[hashtagId] = [];
       }
     }
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [DELETE /users/:id] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines | Deleted ${userPostIds.length} posts`);
-    cleanupRedisCounter(requestId);
+    const response = { hashtags: hashtagResults };
 
-    res.json({ message: "User deleted successfully", postsDeleted: userPostIds.length });
+    setCache(cacheKey, response, 60);
+
+    res.json(response);
   } catch (err) {
-    console.error("Error deleting user:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [DELETE /users/:id] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to delete user" });
+    httpLog.error("Error searching hashtag top posts", err);
+    res.status(500).json({ error: "Failed to search hashtag top posts" });
   }
 });
 
-// ===== GET /users/:id: Get user profile with privacy controls =====
-// Supports 'me' as :id parameter to fetch own profile with all fields
-app.get("/users/:id", async (req, res) => {
+// ===== GET /search/hashtags/trending: Hashtags ranked by recent activity =====
+// Sums the hourly trending:hashtags:* buckets for the window; score = posts * 5 + engagement points
+app.get("/search/hashtags/trending", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    let username = req.params.id;
-    const authenticatedUsername = req.user.username;
-
-    console.log(`[DEBUG /users/:id] Original param: "${username}", Auth username: "${authenticatedUsername}"`);
-
-    // Resolve 'me' placeholder to authenticated username
-    if (username === 'me') {
-      username = authenticatedUsername;
-      console.log(`[DEBUG /users/:id] Resolved 'me' to: "${username}"`);
+    const window = req.query.window || '24h';
+    const windowHours = TRENDING_HASHTAG_WINDOWS[window];
+    if (!windowHours) {
+      return res.status(400).json({ error: `Invalid window. Use one of: ${Object.keys(TRENDING_HASHTAG_WINDOWS).join(', ')}` });
     }
 
-    // Build viewer-specific cache key
-    const cacheKey = `user_profile_${username}_${authenticatedUsername}`;
+    let limit = parseInt(req.query.limit) || 20;
+    if (limit > 100) limit = 100;
+    if (limit < 1) limit = 1;
 
-    // Check cache first
+    const cacheKey = `search_hashtags_trending_${window}_${limit}`;
     const cached = getCached(cacheKey);
     if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /users/:id] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines`);
-      cleanupRedisCounter(requestId);
       return res.json(cached);
     }
 
-    console.log(`[CACHE MISS] ${cacheKey}`);
-
     const trackedRedis = createTrackedRedis(requestId);
 
-    // Fetch user data from Redis
-    const redisKey = `user:${username}`;
-    console.log(`[DEBUG /users/:id] Fetching Redis key: "${redisKey}"`);
-    const userData = await trackedRedis.hgetall(redisKey);
-
-    if (!userData || Object.keys(userData).length === 0) {
-      const duration = Date.now() - startTime;
-      const counter = getRedisCounter(requestId);
-      console.log(`❌ [GET /users/:id] User not found | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-      cleanupRedisCounter(requestId);
-      return res.status(404).json({ error: "User not found" });
+    // Hourly buckets covering the window, including the current (partial) hour
+    const currentHour = Math.floor(Date.now() / 3600000);
+    const postBuckets = [];
+    const engagementBuckets = [];
+    for (let hour = currentHour - windowHours + 1; hour <= currentHour; hour++) {
+      postBuckets.push(`trending:hashtags:posts:${hour}`);
+      engagementBuckets.push(`trending:hashtags:engagement:${hour}`);
     }
 
-    // PRIVACY: Sanitize user data based on viewer relationship
-    // - If viewing own profile (username === authenticatedUsername): return all fields
-    // - If viewing other user: remove sensitive fields (email, phone, etc.)
-    // See SENSITIVE_USER_FIELDS array for complete list of protected fields
-    const sanitized = sanitizeUserData(userData, username, authenticatedUsername);
+    const postsKey = `tmp:trending:hashtags:${window}:posts`;
+    const engagementKey = `tmp:trending:hashtags:${window}:engagement`;
+    const scoreKey = `tmp:trending:hashtags:${window}:score`;
+
+    const pipeline = trackedRedis.pipeline();
+    pipeline.zunionstore(postsKey, postBuckets.length, ...postBuckets);
+    pipeline.zunionstore(engagementKey, engagementBuckets.length, ...engagementBuckets);
+    pipeline.zunionstore(scoreKey, 2, postsKey, engagementKey, 'WEIGHTS', TRENDING_HASHTAG_POST_WEIGHT, 1);
+    // Unlikes/deleted comments can leave a tag at or below 0 within a short window
+    pipeline.zrevrangebyscore(scoreKey, '+inf', '(0', 'WITHSCORES', 'LIMIT', 0, limit);
+    pipeline.expire(postsKey, 60);
+    pipeline.expire(engagementKey, 60);
+    pipeline.expire(scoreKey, 60);
+    const results = await pipeline.exec();
+    const ranked = results[3][1];
+
+    const tags = [];
+    for (let i = 0; i < ranked.length; i += 2) {
+      tags.push({ tag: ranked[i], score: parseFloat(ranked[i + 1]) });
+    }
 
-    const response = { user: sanitized };
+    // Break the score down into its post and engagement parts
+    if (tags.length > 0) {
+      const breakdownPipeline = trackedRedis.pipeline();
+      for (const { tag } of tags) {
+        breakdownPipeline.zscore(postsKey, tag);
+        breakdownPipeline.zscore(engagementKey, tag);
+      }
+      const breakdown = await breakdownPipeline.exec();
+      tags.forEach((entry, i) => {
+        entry.posts = parseInt(breakdown[i * 2][1] || 0);
+        entry.engagement = parseInt(breakdown[i * 2 + 1][1] || 0);
+      });
+    }
 
-    // Cache the sanitized data for ~300s
-    setCache(cacheKey, response, 300);
+    const response = { window, hashtags: tags };
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /users/:id] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines | Total: ${counter.commands + counter.pipelines} roundtrips`);
-    cleanupRedisCounter(requestId);
+    setCache(cacheKey, response, 60);
 
     res.json(response);
   } catch (err) {
-    console.error("Error fetching user profile:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /users/:id] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to fetch user profile" });
+    httpLog.error("Error fetching trending hashtags", err);
+    res.status(500).json({ error: "Failed to fetch trending hashtags" });
   }
 });
 
-// ===== GET /feed/hashtag/:id: Hashtag feed with chronological order =====
-app.get("/feed/hashtag/:id", async (req, res) => {
+// ===== GET /search/models/top: Get top models by engagement =====
+app.get("/search/models/top", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const hashtagId = req.params.id;
-    const offset = parseInt(req.query.offset) || 0;
-    let limit = parseInt(req.query.limit) || 20;
-    const includeUser = req.query.includeUser !== 'false';
+    let limit = parseInt(req.query.limit) || 5;
 
     if (limit > 100) limit = 100;
 
-    const cacheKey = `hashtag_feed_${hashtagId}_${offset}_${limit}_${includeUser}`;
+    const cacheKey = `search_models_top_${limit}`;
 
     const cached = getCached(cacheKey);
     if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /feed/hashtag/:id] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines`);
-      cleanupRedisCounter(requestId);
       return res.json(cached);
     }
 
     const trackedRedis = createTrackedRedis(requestId);
 
-    const bufferMultiplier = 2;
-    const bufferSize = limit * bufferMultiplier;
-    let currentOffset = offset;
-    let posts = [];
+    // Fetch top models from engagement sorted set (now stores usernames instead of UUIDs)
+    const modelUsernames = await trackedRedis.zrevrange('models:top:engagement', 0, limit - 1, 'WITHSCORES');
 
-    while (posts.length < limit) {
-      const postIds = await trackedRedis.zrevrange(
-        `hashtag:${hashtagId}:posts`,
-        currentOffset,
-        currentOffset + bufferSize - 1
-      );
+    const models = [];
+    if (modelUsernames.length > 0) {
+      // modelUsernames contains [username1, score1, username2, score2, ...]
+      const pipeline = trackedRedis.pipeline();
+      for (let i = 0; i < modelUsernames.length; i += 2) {
+        const modelUsername = modelUsernames[i];
+        pipeline.hgetall(`user:${modelUsername}`);
+      }
+      const results = await pipeline.exec();
 
-      if (postIds.length === 0) break;
+      for (let i = 0; i < modelUsernames.length; i += 2) {
+        const modelUsername = modelUsernames[i];
+        const score = parseFloat(modelUsernames[i + 1]);
+        const [, userData] = results[i / 2];
 
-      const authenticatedUsername = req.user ? req.user.username : null;
-      const aggregated = await aggregatePostsWithUsers(postIds, requestId, includeUser, authenticatedUsername);
-      posts.push(...aggregated);
+        if (userData && Object.keys(userData).length > 0) {
+          // PRIVACY: Sanitize model data in top models list
+          // Only public fields are shown in leaderboards
+          const sanitized = sanitizeUserData(userData, modelUsername, null);
+          models.push({
+            ...sanitized,
+            engagement_score: score
+          });
+        }
+      }
+    }
 
-      if (posts.length >= limit) {
-        posts = posts.slice(0, limit);
-        break;
+    const response = { models, count: models.length };
+
+    setCache(cacheKey, response, 120);
+
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error searching top models", err);
+    res.status(500).json({ error: "Failed to search top models" });
+  }
+});
+
+// ===== /debug-auth: shows resolved Redis key =====
+app.all("/debug-auth", async (req, res) => {
+  try {
+    const tokenUsername = req.user.username;
+    const isApiKeyAuth = req.user.isApiKey === true;
+    const resolvedKey = `user:${tokenUsername}`;
+    const data = await redis.hgetall(resolvedKey);
+
+    authLog.debug("/debug-auth", { username: tokenUsername, resolved_key: resolvedKey, redis_data: data });
+
+    res.json({
+      username: tokenUsername,
+      resolved_key: resolvedKey,
+      redis_data: data,
+      redisProxyAccess: isApiKeyAuth,
+      authMethod: isApiKeyAuth ? "API Key" : "JWT"
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ===== /whoami: return JWT payload =====
+app.all("/whoami", (req, res) => {
+  res.json({
+    jwt_payload: req.user,
+    resolved_user_key: `user:${req.user.username}`
+  });
+});
+
+// ===== POST /seed: Seed test data (TESTING ONLY) =====
+app.post("/seed", async (req, res) => {
+  try {
+    appLog.info("[SEED] Starting database seed...");
+
+    const multi = redis.multi();
+    const now = Date.now();
+
+    // Create 3 test users (username is now the primary key)
+    const users = [
+      {
+        username: 'alice',
+        uuid: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
+        display_name: 'Alice Wonder',
+        avatar: 'https://i.pravatar.cc/150?img=1',
+        bio: 'Software engineer and cat lover',
+        role: 'user',
+        email: 'alice@example.com',
+        postCount: 0,
+        followerCount: 0,
+        followingCount: 0
+      },
+      {
+        username: 'bobmodel',
+        uuid: 'b2c3d4e5-f6a7-8901-bcde-f12345678901',
+        display_name: 'Bob Model',
+        avatar: 'https://i.pravatar.cc/150?img=2',
+        bio: 'Professional model and fitness enthusiast',
+        role: 'model',
+        email: 'bob@example.com',
+        postCount: 0,
+        followerCount: 0,
+        followingCount: 0
+      },
+      {
+        username: 'charlie',
+        uuid: 'c3d4e5f6-a7b8-9012-cdef-123456789012',
+        display_name: 'Charlie Admin',
+        avatar: 'https://i.pravatar.cc/150?img=3',
+        bio: 'Platform administrator',
+        role: 'admin',
+        email: 'charlie@example.com',
+        postCount: 0,
+        followerCount: 0,
+        followingCount: 0
       }
+    ];
 
-      currentOffset += postIds.length;
+    // Create users (use username as key)
+    for (const user of users) {
+      multi.hset(`user:${user.username}`, user);
+      multi.set(`username_to_uuid:${user.username}`, user.uuid);
+      const userTimestamp = now - (Math.random() * 86400000); // Random within last day
+      if (user.role === 'model') {
+        multi.zadd('users:models', userTimestamp, user.username);
+        multi.zadd('models:top:engagement', 0, user.username);
+      } else {
+        multi.zadd('users:regular', userTimestamp, user.username);
+      }
+      queueUserSearchIndex(multi, user);
     }
 
-    const response = {
-      posts,
-      pagination: {
-        offset,
-        limit,
-        count: posts.length
+    // Alice follows Bob (use usernames in sets)
+    multi.sadd('user:alice:following', 'bobmodel');
+    multi.sadd('user:bobmodel:followers', 'alice');
+    multi.hincrby('user:alice', 'followingCount', 1);
+    multi.hincrby('user:bobmodel', 'followerCount', 1);
+
+    // Create test posts (user_id now stores username)
+    const posts = [
+      {
+        id: `${now}-post1`,
+        user_id: 'alice',
+        username: 'alice',
+        avatar: 'https://i.pravatar.cc/150?img=1',
+        display_name: 'Alice Wonder',
+        user_role: 'user',
+        content: 'Hello world! #introduction #coding',
+        media_url: '',
+        created_at: now - 3600000, // 1 hour ago
+        likesCount: 0,
+        commentsCount: 0,
+        bookmarksCount: 0
+      },
+      {
+        id: `${now}-post2`,
+        user_id: 'bobmodel',
+        username: 'bobmodel',
+        avatar: 'https://i.pravatar.cc/150?img=2',
+        display_name: 'Bob Model',
+        user_role: 'model',
+        content: 'New photoshoot coming soon! #fashion #photography',
+        media_url: 'https://picsum.photos/800/600',
+        created_at: now - 7200000, // 2 hours ago
+        likesCount: 0,
+        commentsCount: 0,
+        bookmarksCount: 0
+      },
+      {
+        id: `${now}-post3`,
+        user_id: 'alice',
+        username: 'alice',
+        avatar: 'https://i.pravatar.cc/150?img=1',
+        display_name: 'Alice Wonder',
+        user_role: 'user',
+        content: 'Just deployed my new app! #coding #nodejs',
+        media_url: '',
+        created_at: now - 10800000, // 3 hours ago
+        likesCount: 0,
+        commentsCount: 0,
+        bookmarksCount: 0
       }
-    };
+    ];
 
-    setCache(cacheKey, response, 30);
+    for (const post of posts) {
+      multi.hset(`post:${post.id}`, post);
+      multi.zadd('explore:feed', post.created_at, post.id);
+      multi.zadd('trending:posts', 0, post.id);
+      multi.zadd(`user:${post.user_id}:posts`, post.created_at, post.id);
+      multi.hincrby(`user:${post.user_id}`, 'postCount', 1);
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /feed/hashtag/:id] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+      // Add to hashtag feeds
+      const hashtags = extractHashtags(post.content);
+      for (const tag of hashtags) {
+        multi.zadd(`hashtag:${tag}:posts`, post.created_at, post.id);
+        multi.zadd(`hashtag:${tag}:ranked`, 0, post.id); // Initial score 0
+      }
+      queuePostSearchIndex(multi, post.id, post.content, post.created_at);
+    }
 
-    res.json(response);
+    await multi.exec();
+
+    appLog.info("[SEED] Database seeded successfully");
+    res.json({
+      message: "Database seeded successfully",
+      users: users.length,
+      posts: posts.length,
+      test_credentials: {
+        note: "Use these usernames to generate JWT tokens for testing",
+        users: users.map(u => ({ username: u.username, role: u.role }))
+      }
+    });
   } catch (err) {
-    console.error("Error fetching hashtag feed:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /feed/hashtag/:id] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to fetch hashtag feed" });
+    appLog.error("[SEED] Error", err);
+    res.status(500).json({ error: "Failed to seed database", details: err.message });
   }
 });
 
-// ===== GET /feed/hashtag/:id/ranked: Hashtag feed with time-decayed ranking =====
-app.get("/feed/hashtag/:id/ranked", async (req, res) => {
+// ===== Background Job: Ranking decay =====
+// hashtag:<tag>:ranked scores decay with age but are only recomputed on interactions, so this worker
+// periodically rescores every post from the last two weeks and zeroes older entries that still carry
+// a score. A Redis lock keeps instances from running it at the same time, and the last run is stored in
+// jobs:ranking_decay:status so any instance can report it. Set RANKING_DECAY_INTERVAL_MINUTES=0 to disable.
+const RANKING_DECAY_INTERVAL_MINUTES = parseInt(process.env.RANKING_DECAY_INTERVAL_MINUTES ?? '15');
+const RANKING_DECAY_ENABLED = Number.isFinite(RANKING_DECAY_INTERVAL_MINUTES) && RANKING_DECAY_INTERVAL_MINUTES > 0;
+const RANKING_DECAY_BATCH_SIZE = 500;
+
+let rankingDecayRunning = false;
+
+// ===== Helper: Remove posts that aged out of the trending window =====
+// Only removes members whose explore:feed score (created_at) is older than the cutoff, or that are no
+// longer in explore:feed. Posts created while a job runs are added to both sets at once, so they are never dropped.
+async function removeExpiredTrendingPosts(trackedRedis, cutoff) {
+  let removed = 0;
+  let cursor = '0';
+  do {
+    const [nextCursor, entries] = await trackedRedis.zscan('trending:posts', cursor, 'COUNT', RANKING_DECAY_BATCH_SIZE);
+    cursor = nextCursor;
+
+    const postIds = entries.filter((entry, index) => index % 2 === 0);
+    if (postIds.length === 0) continue;
+
+    const agePipeline = trackedRedis.pipeline();
+    for (const postId of postIds) {
+      agePipeline.zscore('explore:feed', postId);
+    }
+    const ageResults = await agePipeline.exec();
+
+    const expired = postIds.filter((postId, i) => {
+      const [, createdAt] = ageResults[i];
+      return createdAt === null || parseFloat(createdAt) < cutoff;
+    });
+    if (expired.length > 0) {
+      removed += await redis.zrem('trending:posts', ...expired);
+    }
+  } while (cursor !== '0');
+  return removed;
+}
+
+async function runRankingDecay() {
+  if (rankingDecayRunning) return;
+
   const requestId = getRequestId();
   initRedisCounter(requestId);
   const startTime = Date.now();
+  const lockKey = 'jobs:ranking_decay:lock';
 
-  try {
-    const hashtagId = req.params.id;
-    const offset = parseInt(req.query.offset) || 0;
-    let limit = parseInt(req.query.limit) || 20;
-    const includeUser = req.query.includeUser !== 'false';
-
-    if (limit > 100) limit = 100;
-
-    const cacheKey = `hashtag_ranked_${hashtagId}_${offset}_${limit}_${includeUser}`;
+  // The lock is not released after a run: holding it for most of the interval means only one
+  // instance runs per interval, and it still expires if an instance dies mid-run
+  const lockAcquired = await redis.set(lockKey, requestId, 'PX', Math.floor(RANKING_DECAY_INTERVAL_MINUTES * 60000 * 0.9), 'NX');
+  if (!lockAcquired) {
+    jobsLog.info("[ranking-decay] Skipped: already ran on another instance this interval");
+    cleanupRedisCounter(requestId);
+    return;
+  }
 
-    const cached = getCached(cacheKey);
-    if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /feed/hashtag/:id/ranked] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines`);
-      cleanupRedisCounter(requestId);
-      return res.json(cached);
-    }
+  rankingDecayRunning = true;
 
+  try {
     const trackedRedis = createTrackedRedis(requestId);
+    const rankingConfig = await getRankingConfig(trackedRedis);
+    const trendingCutoff = startTime - rankingConfig.trending.window_days * 24 * 3600 * 1000;
+    const hashtagCutoff = startTime - rankingConfig.hashtag.window_days * 24 * 3600 * 1000;
+    const cutoff = Math.min(trendingCutoff, hashtagCutoff);
+    const rescoredPostIds = new Set();
+    const stats = { posts_rescored: 0, entries_updated: 0, entries_zeroed: 0, tags_scanned: 0, trending_removed: 0 };
+
+    // 1. Rescore posts inside the window (explore:feed score = created_at)
+    let windowOffset = 0;
+    while (true) {
+      const postIds = await trackedRedis.zrevrangebyscore('explore:feed', '+inf', cutoff, 'LIMIT', windowOffset, RANKING_DECAY_BATCH_SIZE);
+      if (postIds.length === 0) break;
+      windowOffset += postIds.length;
 
-    const bufferMultiplier = 2;
-    const bufferSize = limit * bufferMultiplier;
-    let currentOffset = offset;
-    let posts = [];
+      const postPipeline = trackedRedis.pipeline();
+      for (const postId of postIds) {
+        postPipeline.hgetall(`post:${postId}`);
+      }
+      const postResults = await postPipeline.exec();
 
-    while (posts.length < limit) {
-      // Fetch posts sorted by engagement score (descending)
-      const postIds = await trackedRedis.zrevrange(
-        `hashtag:${hashtagId}:ranked`,
-        currentOffset,
-        currentOffset + bufferSize - 1
-      );
+      const multi = redis.multi();
+      for (let i = 0; i < postIds.length; i++) {
+        const [, postData] = postResults[i];
+        if (!postData || Object.keys(postData).length === 0) continue;
 
-      if (postIds.length === 0) break;
+        if (isInRankingWindow(postData, rankingConfig.trending, startTime)) {
+          multi.zadd('trending:posts', calculateRankedScore(postData, rankingConfig.trending, startTime), postIds[i]);
+        }
 
-      const authenticatedUsername = req.user ? req.user.username : null;
-      const aggregated = await aggregatePostsWithUsers(postIds, requestId, includeUser, authenticatedUsername);
-      posts.push(...aggregated);
+        if (isInRankingWindow(postData, rankingConfig.hashtag, startTime)) {
+          // XX: only update posts that are still in the tag's ranked set
+          const score = calculateRankedScore(postData, rankingConfig.hashtag, startTime);
+          for (const tag of extractHashtags(postData.content)) {
+            multi.zadd(`hashtag:${tag}:ranked`, 'XX', score, postIds[i]);
+            stats.entries_updated++;
+          }
+          rescoredPostIds.add(postIds[i]);
+        }
 
-      if (posts.length >= limit) {
-        posts = posts.slice(0, limit);
-        break;
+        stats.posts_rescored++;
       }
+      await multi.exec();
 
-      currentOffset += postIds.length;
+      if (postIds.length < RANKING_DECAY_BATCH_SIZE) break;
     }
 
-    const response = {
-      posts,
-      pagination: {
-        offset,
-        limit,
-        count: posts.length
+    // 2. Zero entries that left the window but still carry a score
+    let scanCursor = '0';
+    do {
+      const [nextCursor, rankedKeys] = await trackedRedis.scan(scanCursor, 'MATCH', 'hashtag:*:ranked', 'COUNT', 100);
+      scanCursor = nextCursor;
+
+      for (const rankedKey of rankedKeys) {
+        stats.tags_scanned++;
+
+        const scoredPostIds = await trackedRedis.zrangebyscore(rankedKey, '(0', '+inf');
+        const candidates = scoredPostIds.filter(postId => !rescoredPostIds.has(postId));
+        if (candidates.length === 0) continue;
+
+        // hashtag:<tag>:posts holds each post's created_at
+        const postsKey = rankedKey.replace(/:ranked$/, ':posts');
+        const agePipeline = trackedRedis.pipeline();
+        for (const postId of candidates) {
+          agePipeline.zscore(postsKey, postId);
+        }
+        const ageResults = await agePipeline.exec();
+
+        const multi = redis.multi();
+        for (let i = 0; i < candidates.length; i++) {
+          const [, createdAt] = ageResults[i];
+          if (createdAt === null || parseFloat(createdAt) < hashtagCutoff) {
+            multi.zadd(rankedKey, 'XX', 0, candidates[i]);
+            stats.entries_zeroed++;
+          }
+        }
+        await multi.exec();
       }
-    };
+    } while (scanCursor !== '0');
 
-    setCache(cacheKey, response, 30);
+    // 3. Drop posts that aged out of the window from the global trending feed
+    stats.trending_removed = await removeExpiredTrendingPosts(trackedRedis, trendingCutoff);
 
     const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /feed/hashtag/:id/ranked] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    await redis.hset('jobs:ranking_decay:status', {
+      status: 'success',
+      last_run_at: startTime,
+      duration_ms: duration,
+      ...stats,
+      error: ''
+    });
 
-    res.json(response);
+    // Ranked feed responses are cached for 30 seconds
+    invalidateFeedCaches();
+
+    const counter = getRedisCounter(requestId);
+    jobsLog.info("[ranking-decay] Success", { posts_rescored: stats.posts_rescored, entries_zeroed: stats.entries_zeroed, duration_ms: duration, redis_commands: counter.commands, redis_pipelines: counter.pipelines });
   } catch (err) {
-    console.error("Error fetching ranked hashtag feed:", err);
     const duration = Date.now() - startTime;
     const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /feed/hashtag/:id/ranked] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
+    jobsLog.error("Error running ranking decay", { err, duration_ms: duration, redis_commands: counter.commands, redis_pipelines: counter.pipelines });
+    await redis.hset('jobs:ranking_decay:status', {
+      status: 'error',
+      last_run_at: startTime,
+      duration_ms: duration,
+      error: err.message
+    }).catch(() => {});
+  } finally {
+    rankingDecayRunning = false;
     cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to fetch ranked hashtag feed" });
   }
-});
+}
 
-// ===== GET /feed/following: Following feed with pagination =====
-app.get("/feed/following", async (req, res) => {
+// ===== Ranking rebuild (admin-triggered) =====
+// Rescores every ranked key from scratch with the current ranking profiles:
+// trending:posts and hashtag:<tag>:ranked for every post in explore:feed, and
+// models:top:engagement from the engagement totals of each model's posts.
+// Run it after changing a ranking profile; live updates only apply the new profile to posts as they get engagement.
+const RANKING_REBUILD_LOCK_KEY = 'jobs:ranking_rebuild:lock';
+const RANKING_REBUILD_LOCK_TTL_MS = 30 * 60000;
+// Set once models:top:engagement holds weighted points (see migrateModelEngagementPoints)
+const MODELS_POINTS_UNIT_KEY = 'ranking:models:points_unit';
+
+let rankingRebuildRunning = false;
+
+async function runRankingRebuild(requestedBy) {
   const requestId = getRequestId();
   initRedisCounter(requestId);
   const startTime = Date.now();
+  rankingRebuildRunning = true;
 
   try {
-    const username = req.user.username;
-    const offset = parseInt(req.query.offset) || 0;
-    let limit = parseInt(req.query.limit) || 20;
-    const includeUser = req.query.includeUser !== 'false'; // default true
-
-    // Validate and cap limit at 100
-    if (limit > 100) limit = 100;
-
-    const cacheKey = `following_feed_${username}_${offset}_${limit}_${includeUser}`;
+    const trackedRedis = createTrackedRedis(requestId);
 
-    // Check cache first
-    const cached = getCached(cacheKey);
-    if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /feed/following] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines | includeUser: ${includeUser}`);
-      cleanupRedisCounter(requestId);
-      return res.json(cached);
-    }
+    // Always rebuild with the latest saved profiles
+    invalidateCache({ keys: [RANKING_CONFIG_CACHE_KEY] });
+    const rankingConfig = await getRankingConfig(trackedRedis);
 
-    console.log(`[CACHE MISS] ${cacheKey}`);
+    const trendingCutoff = startTime - rankingConfig.trending.window_days * 24 * 3600 * 1000;
+    const modelPoints = {};
+    const stats = { posts_scanned: 0, trending_updated: 0, trending_removed: 0, hashtag_entries_updated: 0, models_updated: 0 };
 
-    const trackedRedis = createTrackedRedis(requestId);
+    // 1. Rescore every visible post (banned posts are not in explore:feed)
+    let offset = 0;
+    while (true) {
+      const postIds = await trackedRedis.zrevrange('explore:feed', offset, offset + RANKING_DECAY_BATCH_SIZE - 1);
+      if (postIds.length === 0) break;
+      offset += postIds.length;
 
-    // Get list of users being followed (now stores usernames instead of UUIDs)
-    const followingIds = await trackedRedis.smembers(`user:${username}:following`);
+      const postPipeline = trackedRedis.pipeline();
+      for (const postId of postIds) {
+        postPipeline.hgetall(`post:${postId}`);
+      }
+      const postResults = await postPipeline.exec();
 
-    console.log(`User ${username} follows ${followingIds.length} users`);
+      const multi = redis.multi();
+      for (let i = 0; i < postIds.length; i++) {
+        const [, postData] = postResults[i];
+        if (!postData || Object.keys(postData).length === 0) continue;
 
-    if (followingIds.length === 0) {
-      const response = {
-        posts: [],
-        pagination: {
-          offset,
-          limit,
-          count: 0
+        if (isInRankingWindow(postData, rankingConfig.trending, startTime)) {
+          multi.zadd('trending:posts', calculateRankedScore(postData, rankingConfig.trending, startTime), postIds[i]);
+          stats.trending_updated++;
         }
-      };
-      setCache(cacheKey, response, 30);
-      const duration = Date.now() - startTime;
-      const counter = getRedisCounter(requestId);
-      console.log(`✅ [GET /feed/following] Success (empty) | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines | Total: ${counter.commands + counter.pipelines} roundtrips | includeUser: ${includeUser}`);
-      cleanupRedisCounter(requestId);
-      return res.json(response);
-    }
 
-    // Build keys for user:{username}:posts sorted sets (followingIds now contains usernames)
-    const userPostKeys = followingIds.map(username => `user:${username}:posts`);
+        const hashtagScore = calculateRankedScore(postData, rankingConfig.hashtag, startTime);
+        for (const tag of extractHashtags(postData.content)) {
+          multi.zadd(`hashtag:${tag}:ranked`, 'XX', hashtagScore, postIds[i]);
+          stats.hashtag_entries_updated++;
+        }
 
-    // Verify existence of user:{id}:posts keys by checking a sample
-    const sampleKey = userPostKeys[0];
-    const sampleExists = await trackedRedis.exists(sampleKey);
+        modelPoints[postData.user_id] = (modelPoints[postData.user_id] || 0) + calculateEngagementPoints(postData, rankingConfig.models);
+        stats.posts_scanned++;
+      }
+      await multi.exec();
 
-    let posts = [];
+      if (postIds.length < RANKING_DECAY_BATCH_SIZE) break;
+    }
 
-    if (sampleExists === 0) {
-      console.warn(`user:{uuid}:posts structure not found. Falling back to explore:feed filtering.`);
+    // 2. Drop trending entries outside the window (or no longer in explore:feed)
+    stats.trending_removed = await removeExpiredTrendingPosts(trackedRedis, trendingCutoff);
 
-      // Fallback: Use explore:feed and filter by followed user_id
-      const followingSet = new Set(followingIds);
-      const bufferMultiplier = 3;
-      let currentOffset = 0;
-      let matched = 0;
+    // 3. Reset the models leaderboard to the recomputed totals
+    const modelUsernames = await trackedRedis.zrange('users:models', 0, -1);
+    if (modelUsernames.length > 0) {
+      const multi = redis.multi();
+      for (const modelUsername of modelUsernames) {
+        multi.zadd('models:top:engagement', modelPoints[modelUsername] || 0, modelUsername);
+      }
+      await multi.exec();
+      stats.models_updated = modelUsernames.length;
+    }
+    await redis.set(MODELS_POINTS_UNIT_KEY, 'weighted');
 
-      // Continue fetching until we have enough posts or run out of items
-      while (posts.length < limit) {
-        const bufferSize = limit * bufferMultiplier;
-        const explorePosts = await trackedRedis.zrevrange("explore:feed", currentOffset, currentOffset + bufferSize - 1);
+    const duration = Date.now() - startTime;
+    await redis.hset('jobs:ranking_rebuild:status', {
+      status: 'success',
+      requested_by: requestedBy,
+      last_run_at: startTime,
+      duration_ms: duration,
+      ...stats,
+      error: ''
+    });
 
-        console.log(`Fetched ${explorePosts.length} posts from explore:feed at offset ${currentOffset}`);
+    invalidateFeedCaches();
 
-        // No more posts available
-        if (explorePosts.length === 0) break;
+    const counter = getRedisCounter(requestId);
+    jobsLog.info("[ranking-rebuild] Success", { posts_scanned: stats.posts_scanned, models_updated: stats.models_updated, duration_ms: duration, redis_commands: counter.commands, redis_pipelines: counter.pipelines });
+  } catch (err) {
+    const duration = Date.now() - startTime;
+    const counter = getRedisCounter(requestId);
+    jobsLog.error("Error running ranking rebuild", { err, duration_ms: duration, redis_commands: counter.commands, redis_pipelines: counter.pipelines });
+    await redis.hset('jobs:ranking_rebuild:status', {
+      status: 'error',
+      requested_by: requestedBy,
+      last_run_at: startTime,
+      duration_ms: duration,
+      error: err.message
+    }).catch(() => {});
+  } finally {
+    rankingRebuildRunning = false;
+    await redis.del(RANKING_REBUILD_LOCK_KEY).catch(() => {});
+    cleanupRedisCounter(requestId);
+  }
+}
 
-        // Pipeline to get user_id for each post
-        const pipeline = trackedRedis.pipeline();
-        for (const postId of explorePosts) {
-          pipeline.hget(`post:${postId}`, "user_id");
-        }
-        const userIdResults = await pipeline.exec();
-
-        // Filter posts by followed users
-        const filteredPostIds = [];
-        for (let i = 0; i < explorePosts.length; i++) {
-          const [err, postUserId] = userIdResults[i];
-          if (err || !postUserId) continue;
-
-          if (followingSet.has(postUserId)) {
-            matched++;
-            // Apply offset and limit
-            if (matched > offset && posts.length < limit) {
-              filteredPostIds.push(explorePosts[i]);
-            }
-          }
-        }
+// ===== Startup: Convert models:top:engagement to weighted points =====
+// models:top:engagement used to gain 1 per like, comment and bookmark; live updates now add the
+// `models` profile's weighted points. Until a rebuild runs the leaderboard would mix both units, so the
+// first start after upgrading runs one (a rebuild marks the set as converted when it finishes).
+async function migrateModelEngagementPoints() {
+  const unit = await redis.get(MODELS_POINTS_UNIT_KEY);
+  if (unit === 'weighted') return;
 
-        // Aggregate the filtered posts
-        if (filteredPostIds.length > 0) {
-          const aggregated = await aggregatePostsWithUsers(filteredPostIds, requestId, includeUser, username);
-          posts.push(...aggregated);
-        }
+  const lockAcquired = await redis.set(RANKING_REBUILD_LOCK_KEY, 'startup', 'PX', RANKING_REBUILD_LOCK_TTL_MS, 'NX');
+  if (!lockAcquired) return;
 
-        // If we've collected enough posts, trim to exact limit
-        if (posts.length >= limit) {
-          posts = posts.slice(0, limit);
-          break;
-        }
+  jobsLog.info("[ranking-rebuild] Converting models:top:engagement to weighted points");
+  await runRankingRebuild('startup');
+}
 
-        // Move offset forward for next iteration
-        currentOffset += explorePosts.length;
+// ===== Search reindex (admin-triggered) =====
+// Adds every visible post and every user to the sorted-set search index. Needed once for data
+// created before search existed, or written around the API; RediSearch indexes hashes on its own.
+const SEARCH_REINDEX_LOCK_KEY = 'jobs:search_reindex:lock';
 
-        // Safety limit to prevent infinite loops (reduced for performance)
-        if (currentOffset > 3000) break;
-      }
+let searchReindexRunning = false;
 
-      console.log(`Filtered to ${posts.length} posts from followed users`);
-    } else {
-      // Use ZUNIONSTORE to merge all followed users' posts into temporary sorted set
-      const tmpKey = `tmp:home:${username}`;
-      await trackedRedis.zunionstore(tmpKey, userPostKeys.length, ...userPostKeys);
+async function runSearchReindex(requestedBy) {
+  const requestId = getRequestId();
+  initRedisCounter(requestId);
+  const startTime = Date.now();
+  searchReindexRunning = true;
 
-      // Set short expiration (15 seconds)
-      await trackedRedis.expire(tmpKey, 15);
+  try {
+    const trackedRedis = createTrackedRedis(requestId);
+    const stats = { posts_indexed: 0, users_indexed: 0 };
 
-      console.log(`Created temporary union set ${tmpKey}`);
+    // 1. Posts (banned posts are not in explore:feed)
+    let offset = 0;
+    while (true) {
+      const postIds = await trackedRedis.zrevrange('explore:feed', offset, offset + RANKING_DECAY_BATCH_SIZE - 1);
+      if (postIds.length === 0) break;
+      offset += postIds.length;
 
-      // Fetch a buffer to account for missing posts/users
-      const bufferMultiplier = 2;
-      const bufferSize = limit * bufferMultiplier;
-      let currentOffset = offset;
+      const postPipeline = trackedRedis.pipeline();
+      for (const postId of postIds) {
+        postPipeline.hgetall(`post:${postId}`);
+      }
+      const postResults = await postPipeline.exec();
 
-      // Continue fetching until we have enough posts or run out of items
-      while (posts.length < limit) {
-        const fetchedIds = await trackedRedis.zrevrange(tmpKey, currentOffset, currentOffset + bufferSize - 1);
+      const multi = redis.multi();
+      for (let i = 0; i < postIds.length; i++) {
+        const [, postData] = postResults[i];
+        if (!postData || Object.keys(postData).length === 0) continue;
 
-        console.log(`Fetched ${fetchedIds.length} post IDs from ${tmpKey} at offset ${currentOffset}`);
+        queuePostSearchIndex(multi, postIds[i], postData.content, parseInt(postData.created_at));
+        stats.posts_indexed++;
+      }
+      await multi.exec();
 
-        // No more posts available
-        if (fetchedIds.length === 0) break;
+      if (postIds.length < RANKING_DECAY_BATCH_SIZE) break;
+    }
 
-        // Aggregate posts with user data
-        const aggregated = await aggregatePostsWithUsers(fetchedIds, requestId, includeUser, username);
-        posts.push(...aggregated);
+    // 2. Users (every role, so admins are found too)
+    let scanCursor = '0';
+    do {
+      const [nextCursor, keys] = await trackedRedis.scan(scanCursor, 'MATCH', 'user:*', 'COUNT', 500);
+      scanCursor = nextCursor;
 
-        // If we've collected enough posts, trim to exact limit
-        if (posts.length >= limit) {
-          posts = posts.slice(0, limit);
-          break;
-        }
+      const userKeys = keys.filter(key => /^user:[^:]+$/.test(key));
+      if (userKeys.length === 0) continue;
 
-        // Move offset forward for next iteration
-        currentOffset += fetchedIds.length;
+      const userPipeline = trackedRedis.pipeline();
+      for (const key of userKeys) {
+        userPipeline.hgetall(key);
       }
+      const userResults = await userPipeline.exec();
 
-      console.log(`Found ${posts.length} valid posts in following feed`);
-    }
+      const multi = redis.multi();
+      for (const [, userData] of userResults) {
+        if (!userData || !userData.username) continue;
 
-    const response = {
-      posts,
-      pagination: {
-        offset,
-        limit,
-        count: posts.length
+        queueUserSearchIndex(multi, userData);
+        stats.users_indexed++;
       }
-    };
-
-    // Cache the result for 30 seconds
-    setCache(cacheKey, response, 30);
+      await multi.exec();
+    } while (scanCursor !== '0');
 
     const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /feed/following] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines | Total: ${counter.commands + counter.pipelines} roundtrips | includeUser: ${includeUser}`);
-    cleanupRedisCounter(requestId);
+    await redis.hset('jobs:search_reindex:status', {
+      status: 'success',
+      requested_by: requestedBy,
+      last_run_at: startTime,
+      duration_ms: duration,
+      ...stats,
+      error: ''
+    });
 
-    res.json(response);
+    invalidateFeedCaches();
+
+    const counter = getRedisCounter(requestId);
+    jobsLog.info("[search-reindex] Success", { posts_indexed: stats.posts_indexed, users_indexed: stats.users_indexed, duration_ms: duration, redis_commands: counter.commands, redis_pipelines: counter.pipelines });
   } catch (err) {
-    console.error("Error fetching following feed:", err);
     const duration = Date.now() - startTime;
     const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /feed/following] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines | includeUser: ${includeUser}`);
+    jobsLog.error("Error running search reindex", { err, duration_ms: duration, redis_commands: counter.commands, redis_pipelines: counter.pipelines });
+    await redis.hset('jobs:search_reindex:status', {
+      status: 'error',
+      requested_by: requestedBy,
+      last_run_at: startTime,
+      duration_ms: duration,
+      error: err.message
+    }).catch(() => {});
+  } finally {
+    searchReindexRunning = false;
+    await redis.del(SEARCH_REINDEX_LOCK_KEY).catch(() => {});
     cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to fetch following feed" });
   }
-});
-
-// ===== GET /search/users/newest: Get newest users by role =====
-app.get("/search/users/newest", async (req, res) => {
-  const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
+}
 
-  try {
-    const role = req.query.role || 'user';
-    let limit = parseInt(req.query.limit) || 10;
+function startRankingDecayWorker() {
+  if (!RANKING_DECAY_ENABLED) {
+    jobsLog.info("[ranking-decay] Worker disabled (RANKING_DECAY_INTERVAL_MINUTES=0)");
+    return;
+  }
 
-    if (limit > 100) limit = 100;
+  const intervalMs = RANKING_DECAY_INTERVAL_MINUTES * 60000;
+  setInterval(() => {
+    runRankingDecay().catch(err => jobsLog.error("Error running ranking decay", err));
+  }, intervalMs);
 
-    const validRoles = ['user', 'model'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({ error: "Invalid role. Must be 'user' or 'model'" });
-    }
+  jobsLog.info("[ranking-decay] Worker started", { interval_minutes: RANKING_DECAY_INTERVAL_MINUTES });
+}
 
-    const cacheKey = `search_users_newest_${role}_${limit}`;
+// ===== GET /admin/jobs/ranking-decay: Ranking decay worker status (admin only) =====
+app.get("/admin/jobs/ranking-decay", async (req, res) => {
+  const requestId = getRequestId();
 
-    const cached = getCached(cacheKey);
-    if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /search/users/newest] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines`);
-      cleanupRedisCounter(requestId);
-      return res.json(cached);
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can view job status" });
     }
 
     const trackedRedis = createTrackedRedis(requestId);
 
-    // Fetch from sorted set (score = timestamp, now stores usernames instead of UUIDs)
-    const setKey = role === 'model' ? 'users:models' : 'users:regular';
-    const usernames = await trackedRedis.zrevrange(setKey, 0, limit - 1);
+    const lastRun = await trackedRedis.hgetall('jobs:ranking_decay:status');
 
-    // Fetch user data
-    const users = [];
-    if (usernames.length > 0) {
-      const pipeline = trackedRedis.pipeline();
-      for (const username of usernames) {
-        pipeline.hgetall(`user:${username}`);
-      }
-      const results = await pipeline.exec();
+    const response = {
+      job: 'ranking_decay',
+      enabled: RANKING_DECAY_ENABLED,
+      interval_minutes: RANKING_DECAY_ENABLED ? RANKING_DECAY_INTERVAL_MINUTES : null,
+      running: rankingDecayRunning,
+      last_run: lastRun && Object.keys(lastRun).length > 0 ? lastRun : null
+    };
 
-      for (let i = 0; i < usernames.length; i++) {
-        const [, userData] = results[i];
-        if (userData && Object.keys(userData).length > 0) {
-          // PRIVACY: Sanitize all user data in search results
-          // Search results never include sensitive fields (email, phone, etc.)
-          const sanitized = sanitizeUserData(userData, usernames[i], null);
-          users.push(sanitized);
-        }
-      }
-    }
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching ranking decay status", err);
+    res.status(500).json({ error: "Failed to fetch job status" });
+  }
+});
 
-    const response = { users, count: users.length };
+// ===== GET /admin/ranking: Ranking profiles =====
+app.get("/admin/ranking", async (req, res) => {
+  const requestId = getRequestId();
 
-    setCache(cacheKey, response, 60);
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can view ranking settings" });
+    }
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /search/users/newest] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    const trackedRedis = createTrackedRedis(requestId);
 
-    res.json(response);
+    // Read overrides directly so the response is not up to 30 seconds stale
+    const pipeline = trackedRedis.pipeline();
+    for (const profile of RANKING_PROFILES) {
+      pipeline.hgetall(`config:ranking:${profile}`);
+    }
+    const results = await pipeline.exec();
+    cache.delete(RANKING_CONFIG_CACHE_KEY);
+    const rankingConfig = await getRankingConfig(trackedRedis);
+
+    const profiles = {};
+    RANKING_PROFILES.forEach((profile, i) => {
+      profiles[profile] = {
+        ...rankingConfig[profile],
+        overrides: results[i][1] || {}
+      };
+    });
+
+    res.json({ defaults: RANKING_DEFAULTS, profiles });
   } catch (err) {
-    console.error("Error searching users:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /search/users/newest] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to search users" });
+    httpLog.error("Error fetching ranking settings", err);
+    res.status(500).json({ error: "Failed to fetch ranking settings" });
   }
 });
 
-// ===== GET /search/hashtags/top-posts: Get top posts from multiple hashtags =====
-app.get("/search/hashtags/top-posts", async (req, res) => {
+// ===== PATCH /admin/ranking/:profile: Override a ranking profile =====
+// Numbers set an override; null removes it and falls back to the env default
+app.patch("/admin/ranking/:profile", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    const hashtagIds = req.query.hashtags ? req.query.hashtags.split(',') : [];
-    let postsPerHashtag = parseInt(req.query.postsPerHashtag) || 5;
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can change ranking settings" });
+    }
 
-    // Validate postsPerHashtag (limit to reasonable range)
-    if (postsPerHashtag > 50) postsPerHashtag = 50;
-    if (postsPerHashtag < 1) postsPerHashtag = 1;
+    const profile = req.params.profile;
+    if (!RANKING_PROFILES.includes(profile)) {
+      return res.status(404).json({ error: `Unknown ranking profile. Use one of: ${RANKING_PROFILES.join(', ')}` });
+    }
 
-    if (hashtagIds.length === 0) {
-      return res.status(400).json({ error: "Provide hashtags query parameter (comma-separated)" });
+    const body = req.body || {};
+    const updates = {};
+    const removals = [];
+
+    for (const param of RANKING_PARAMS) {
+      if (!(param in body)) continue;
+
+      if (body[param] === null) {
+        removals.push(param);
+        continue;
+      }
+
+      const value = typeof body[param] === 'number' ? body[param] : parseFloat(body[param]);
+      if (!Number.isFinite(value) || value < 0 || (param === 'window_days' && value === 0)) {
+        return res.status(400).json({ error: `${param} must be a ${param === 'window_days' ? 'positive' : 'non-negative'} number` });
+      }
+      updates[param] = value;
     }
 
-    if (hashtagIds.length > 12) {
-      return res.status(400).json({ error: "Maximum 12 hashtags allowed" });
+    if (Object.keys(updates).length === 0 && removals.length === 0) {
+      return res.status(400).json({ error: `Provide at least one of: ${RANKING_PARAMS.join(', ')}` });
     }
 
-    const cacheKey = `search_hashtags_top_${hashtagIds.join('_')}_${postsPerHashtag}`;
+    const trackedRedis = createTrackedRedis(requestId);
+    const configKey = `config:ranking:${profile}`;
 
-    const cached = getCached(cacheKey);
-    if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /search/hashtags/top-posts] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines`);
-      cleanupRedisCounter(requestId);
-      return res.json(cached);
+    const multi = redis.multi();
+    if (Object.keys(updates).length > 0) {
+      multi.hset(configKey, updates);
+    }
+    if (removals.length > 0) {
+      multi.hdel(configKey, ...removals);
     }
+    await multi.exec();
 
-    const trackedRedis = createTrackedRedis(requestId);
-    const authenticatedUsername = req.user?.username ?? null;
+    invalidateCache({ keys: [RANKING_CONFIG_CACHE_KEY] });
+    const rankingConfig = await getRankingConfig(trackedRedis);
+    const overrides = await trackedRedis.hgetall(configKey);
 
-    const hashtagResults = {};
+    res.json({
+      message: "Ranking profile updated. Existing scores change as posts get engagement; run POST /admin/jobs/ranking-rebuild to rescore everything now.",
+      profile,
+      config: { ...rankingConfig[profile], overrides: overrides || {} }
+    });
+  } catch (err) {
+    httpLog.error("Error updating ranking settings", err);
+    res.status(500).json({ error: "Failed to update ranking settings" });
+  }
+});
 
-    for (const hashtagId of hashtagIds) {
-      // Fetch top posts from ranked feed
-      const postIds = await trackedRedis.zrevrange(
-        `hashtag:${hashtagId}:ranked`,
-        0,
-        postsPerHashtag - 1
-      );
+// ===== GET /admin/rate-limits: Rate limit policies =====
+app.get("/admin/rate-limits", async (req, res) => {
+  const requestId = getRequestId();
 
-      if (postIds.length > 0) {
-        const posts = await aggregatePostsWithUsers(postIds, requestId, true, authenticatedUsername);
-        hashtagResults[hashtagId] = posts;
-      } else {
-        hashtagResults[hashtagId] = [];
-      }
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can view rate limits" });
     }
 
-    const response = { hashtags: hashtagResults };
+    const trackedRedis = createTrackedRedis(requestId);
 
-    setCache(cacheKey, response, 60);
+    // Read overrides directly so the response is not up to 30 seconds stale
+    const pipeline = trackedRedis.pipeline();
+    for (const policy of RATE_LIMIT_POLICIES) {
+      pipeline.hgetall(`config:ratelimit:${policy}`);
+    }
+    const results = await pipeline.exec();
+    cache.delete(RATE_LIMIT_CONFIG_CACHE_KEY);
+    const rateLimitConfig = await getRateLimitConfig(trackedRedis);
+
+    const policies = {};
+    RATE_LIMIT_POLICIES.forEach((policy, i) => {
+      policies[policy] = {
+        ...rateLimitConfig[policy],
+        overrides: results[i][1] || {}
+      };
+    });
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /search/hashtags/top-posts] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    const routes = RATE_LIMIT_ROUTES.map(route => ({
+      policy: route.policy,
+      methods: route.methods,
+      pattern: route.pattern.source
+    }));
 
-    res.json(response);
+    res.json({ enabled: RATE_LIMIT_ENABLED, defaults: RATE_LIMIT_DEFAULTS, policies, routes });
   } catch (err) {
-    console.error("Error searching hashtag top posts:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /search/hashtags/top-posts] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to search hashtag top posts" });
+    httpLog.error("Error fetching rate limits", err);
+    res.status(500).json({ error: "Failed to fetch rate limits" });
   }
 });
 
-// ===== GET /search/models/top: Get top models by engagement =====
-app.get("/search/models/top", async (req, res) => {
+// ===== PATCH /admin/rate-limits/:policy: Override a rate limit policy =====
+// Positive integers set an override; null removes it and falls back to the default
+app.patch("/admin/rate-limits/:policy", async (req, res) => {
   const requestId = getRequestId();
-  initRedisCounter(requestId);
-  const startTime = Date.now();
 
   try {
-    let limit = parseInt(req.query.limit) || 5;
-
-    if (limit > 100) limit = 100;
-
-    const cacheKey = `search_models_top_${limit}`;
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can change rate limits" });
+    }
 
-    const cached = getCached(cacheKey);
-    if (cached) {
-      const duration = Date.now() - startTime;
-      console.log(`✅ [GET /search/models/top] CACHE HIT | Duration: ${duration}ms | Redis: 0 commands, 0 pipelines`);
-      cleanupRedisCounter(requestId);
-      return res.json(cached);
+    const policy = req.params.policy;
+    if (!RATE_LIMIT_POLICIES.includes(policy)) {
+      return res.status(404).json({ error: `Unknown rate limit policy. Use one of: ${RATE_LIMIT_POLICIES.join(', ')}` });
     }
 
-    const trackedRedis = createTrackedRedis(requestId);
+    const body = req.body || {};
+    const updates = {};
+    const removals = [];
 
-    // Fetch top models from engagement sorted set (now stores usernames instead of UUIDs)
-    const modelUsernames = await trackedRedis.zrevrange('models:top:engagement', 0, limit - 1, 'WITHSCORES');
+    for (const param of RATE_LIMIT_PARAMS) {
+      if (!(param in body)) continue;
 
-    const models = [];
-    if (modelUsernames.length > 0) {
-      // modelUsernames contains [username1, score1, username2, score2, ...]
-      const pipeline = trackedRedis.pipeline();
-      for (let i = 0; i < modelUsernames.length; i += 2) {
-        const modelUsername = modelUsernames[i];
-        pipeline.hgetall(`user:${modelUsername}`);
+      if (body[param] === null) {
+        removals.push(param);
+        continue;
       }
-      const results = await pipeline.exec();
-
-      for (let i = 0; i < modelUsernames.length; i += 2) {
-        const modelUsername = modelUsernames[i];
-        const score = parseFloat(modelUsernames[i + 1]);
-        const [, userData] = results[i / 2];
 
-        if (userData && Object.keys(userData).length > 0) {
-          // PRIVACY: Sanitize model data in top models list
-          // Only public fields are shown in leaderboards
-          const sanitized = sanitizeUserData(userData, modelUsername, null);
-          models.push({
-            ...sanitized,
-            engagement_score: score
-          });
-        }
+      const value = Number(body[param]);
+      if (!Number.isInteger(value) || value <= 0) {
+        return res.status(400).json({ error: `${param} must be a positive integer` });
       }
+      updates[param] = value;
     }
 
-    const response = { models, count: models.length };
+    if (Object.keys(updates).length === 0 && removals.length === 0) {
+      return res.status(400).json({ error: `Provide at least one of: ${RATE_LIMIT_PARAMS.join(', ')}` });
+    }
 
-    setCache(cacheKey, response, 120);
+    const trackedRedis = createTrackedRedis(requestId);
+    const configKey = `config:ratelimit:${policy}`;
 
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`✅ [GET /search/models/top] Success | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
+    const multi = redis.multi();
+    if (Object.keys(updates).length > 0) {
+      multi.hset(configKey, updates);
+    }
+    if (removals.length > 0) {
+      multi.hdel(configKey, ...removals);
+    }
+    await multi.exec();
 
-    res.json(response);
+    invalidateCache({ keys: [RATE_LIMIT_CONFIG_CACHE_KEY] });
+    const rateLimitConfig = await getRateLimitConfig(trackedRedis);
+    const overrides = await trackedRedis.hgetall(configKey);
+
+    res.json({
+      message: "Rate limit policy updated.",
+      policy,
+      config: { ...rateLimitConfig[policy], overrides: overrides || {} }
+    });
   } catch (err) {
-    console.error("Error searching top models:", err);
-    const duration = Date.now() - startTime;
-    const counter = getRedisCounter(requestId);
-    console.log(`❌ [GET /search/models/top] Error | Duration: ${duration}ms | Redis: ${counter.commands} commands, ${counter.pipelines} pipelines`);
-    cleanupRedisCounter(requestId);
-    res.status(500).json({ error: "Failed to search top models" });
+    httpLog.error("Error updating rate limits", err);
+    res.status(500).json({ error: "Failed to update rate limits" });
   }
 });
 
-// ===== /debug-auth: shows resolved Redis key =====
-app.all("/debug-auth", async (req, res) => {
+// ===== GET /admin/cache/stats: In-memory cache statistics for this instance =====
+// Counters reset when the process restarts; each instance reports only its own caches
+app.get("/admin/cache/stats", (req, res) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: "Only admins can view cache statistics" });
+  }
+
+  const caches = [cache, userCache, postCache].map(store => store.getStats());
+  const totalBytes = caches.reduce((sum, stats) => sum + stats.bytes, 0);
+
+  res.json({
+    instance_id: INSTANCE_ID,
+    uptime_seconds: Math.round(process.uptime()),
+    caches,
+    total_bytes: totalBytes,
+    memory: process.memoryUsage()
+  });
+});
+
+// ===== POST /admin/jobs/ranking-rebuild: Rescore all ranked keys =====
+// Runs in the background; poll GET /admin/jobs/ranking-rebuild for the result
+app.post("/admin/jobs/ranking-rebuild", async (req, res) => {
+  const requestId = getRequestId();
+
   try {
-    const tokenUsername = req.user.username;
-    const isApiKeyAuth = req.user.isApiKey === true;
-    const resolvedKey = `user:${tokenUsername}`;
-    const data = await redis.hgetall(resolvedKey);
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can run jobs" });
+    }
 
-    console.log("=== /debug-auth ===");
-    console.log("Token username:", tokenUsername);
-    console.log("Resolved key:", resolvedKey);
-    console.log("Redis data:", data);
-    console.log("===================");
+    // Released when the rebuild finishes; the TTL only covers an instance dying mid-run
+    const lockAcquired = await redis.set(RANKING_REBUILD_LOCK_KEY, req.user.username, 'PX', RANKING_REBUILD_LOCK_TTL_MS, 'NX');
+    if (!lockAcquired) {
+      return res.status(409).json({ error: "A ranking rebuild is already running" });
+    }
 
-    res.json({
-      username: tokenUsername,
-      resolved_key: resolvedKey,
-      redis_data: data,
-      redisProxyAccess: isApiKeyAuth,
-      authMethod: isApiKeyAuth ? "API Key" : "JWT"
-    });
+    runRankingRebuild(req.user.username).catch(err => jobsLog.error("Error running ranking rebuild", err));
+
+    res.status(202).json({ message: "Ranking rebuild started", job: 'ranking_rebuild' });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    httpLog.error("Error starting ranking rebuild", err);
+    res.status(500).json({ error: "Failed to start ranking rebuild" });
   }
 });
 
-// ===== /whoami: return JWT payload =====
-app.all("/whoami", (req, res) => {
-  res.json({
-    jwt_payload: req.user,
-    resolved_user_key: `user:${req.user.username}`
-  });
-});
+// ===== GET /admin/jobs/ranking-rebuild: Ranking rebuild status =====
+app.get("/admin/jobs/ranking-rebuild", async (req, res) => {
+  const requestId = getRequestId();
 
-// ===== POST /seed: Seed test data (TESTING ONLY) =====
-app.post("/seed", async (req, res) => {
   try {
-    console.log("[SEED] Starting database seed...");
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can view job status" });
+    }
 
-    const multi = redis.multi();
-    const now = Date.now();
+    const trackedRedis = createTrackedRedis(requestId);
 
-    // Create 3 test users (username is now the primary key)
-    const users = [
-      {
-        username: 'alice',
-        uuid: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
-        display_name: 'Alice Wonder',
-        avatar: 'https://i.pravatar.cc/150?img=1',
-        bio: 'Software engineer and cat lover',
-        role: 'user',
-        email: 'alice@example.com',
-        postCount: 0,
-        followerCount: 0,
-        followingCount: 0
-      },
-      {
-        username: 'bobmodel',
-        uuid: 'b2c3d4e5-f6a7-8901-bcde-f12345678901',
-        display_name: 'Bob Model',
-        avatar: 'https://i.pravatar.cc/150?img=2',
-        bio: 'Professional model and fitness enthusiast',
-        role: 'model',
-        email: 'bob@example.com',
-        postCount: 0,
-        followerCount: 0,
-        followingCount: 0
-      },
-      {
-        username: 'charlie',
-        uuid: 'c3d4e5f6-a7b8-9012-cdef-123456789012',
-        display_name: 'Charlie Admin',
-        avatar: 'https://i.pravatar.cc/150?img=3',
-        bio: 'Platform administrator',
-        role: 'admin',
-        email: 'charlie@example.com',
-        postCount: 0,
-        followerCount: 0,
-        followingCount: 0
-      }
-    ];
+    const [lastRun, lockExists] = await Promise.all([
+      trackedRedis.hgetall('jobs:ranking_rebuild:status'),
+      trackedRedis.exists(RANKING_REBUILD_LOCK_KEY)
+    ]);
 
-    // Create users (use username as key)
-    for (const user of users) {
-      multi.hset(`user:${user.username}`, user);
-      multi.set(`username_to_uuid:${user.username}`, user.uuid);
-      const userTimestamp = now - (Math.random() * 86400000); // Random within last day
-      if (user.role === 'model') {
-        multi.zadd('users:models', userTimestamp, user.username);
-        multi.zadd('models:top:engagement', 0, user.username);
-      } else {
-        multi.zadd('users:regular', userTimestamp, user.username);
-      }
+    const response = {
+      job: 'ranking_rebuild',
+      running: rankingRebuildRunning || lockExists === 1,
+      last_run: lastRun && Object.keys(lastRun).length > 0 ? lastRun : null
+    };
+
+    res.json(response);
+  } catch (err) {
+    httpLog.error("Error fetching ranking rebuild status", err);
+    res.status(500).json({ error: "Failed to fetch job status" });
+  }
+});
+
+// ===== POST /admin/jobs/search-reindex: Rebuild the sorted-set search index =====
+// Runs in the background; poll GET /admin/jobs/search-reindex for the result
+app.post("/admin/jobs/search-reindex", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can run jobs" });
     }
 
-    // Alice follows Bob (use usernames in sets)
-    multi.sadd('user:alice:following', 'bobmodel');
-    multi.sadd('user:bobmodel:followers', 'alice');
-    multi.hincrby('user:alice', 'followingCount', 1);
-    multi.hincrby('user:bobmodel', 'followerCount', 1);
+    // Released when the reindex finishes; the TTL only covers an instance dying mid-run
+    const lockAcquired = await redis.set(SEARCH_REINDEX_LOCK_KEY, req.user.username, 'PX', 30 * 60000, 'NX');
+    if (!lockAcquired) {
+      return res.status(409).json({ error: "A search reindex is already running" });
+    }
 
-    // Create test posts (user_id now stores username)
-    const posts = [
-      {
-        id: `${now}-post1`,
-        user_id: 'alice',
-        username: 'alice',
-        avatar: 'https://i.pravatar.cc/150?img=1',
-        display_name: 'Alice Wonder',
-        user_role: 'user',
-        content: 'Hello world! #introduction #coding',
-        media_url: '',
-        created_at: now - 3600000, // 1 hour ago
-        likesCount: 0,
-        commentsCount: 0,
-        bookmarksCount: 0
-      },
-      {
-        id: `${now}-post2`,
-        user_id: 'bobmodel',
-        username: 'bobmodel',
-        avatar: 'https://i.pravatar.cc/150?img=2',
-        display_name: 'Bob Model',
-        user_role: 'model',
-        content: 'New photoshoot coming soon! #fashion #photography',
-        media_url: 'https://picsum.photos/800/600',
-        created_at: now - 7200000, // 2 hours ago
-        likesCount: 0,
-        commentsCount: 0,
-        bookmarksCount: 0
-      },
-      {
-        id: `${now}-post3`,
-        user_id: 'alice',
-        username: 'alice',
-        avatar: 'https://i.pravatar.cc/150?img=1',
-        display_name: 'Alice Wonder',
-        user_role: 'user',
-        content: 'Just deployed my new app! #coding #nodejs',
-        media_url: '',
-        created_at: now - 10800000, // 3 hours ago
-        likesCount: 0,
-        commentsCount: 0,
-        bookmarksCount: 0
-      }
-    ];
+    runSearchReindex(req.user.username).catch(err => jobsLog.error("Error running search reindex", err));
 
-    for (const post of posts) {
-      multi.hset(`post:${post.id}`, post);
-      multi.zadd('explore:feed', post.created_at, post.id);
-      multi.zadd(`user:${post.user_id}:posts`, post.created_at, post.id);
-      multi.hincrby(`user:${post.user_id}`, 'postCount', 1);
+    res.status(202).json({ message: "Search reindex started", job: 'search_reindex' });
+  } catch (err) {
+    httpLog.error("Error starting search reindex", err);
+    res.status(500).json({ error: "Failed to start search reindex" });
+  }
+});
 
-      // Add to hashtag feeds
-      const hashtags = extractHashtags(post.content);
-      for (const tag of hashtags) {
-        multi.zadd(`hashtag:${tag}:posts`, post.created_at, post.id);
-        multi.zadd(`hashtag:${tag}:ranked`, 0, post.id); // Initial score 0
-      }
+// ===== GET /admin/jobs/search-reindex: Search reindex status =====
+app.get("/admin/jobs/search-reindex", async (req, res) => {
+  const requestId = getRequestId();
+
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: "Only admins can view job status" });
     }
 
-    await multi.exec();
+    const trackedRedis = createTrackedRedis(requestId);
 
-    console.log("[SEED] Database seeded successfully");
-    res.json({
-      message: "Database seeded successfully",
-      users: users.length,
-      posts: posts.length,
-      test_credentials: {
-        note: "Use these usernames to generate JWT tokens for testing",
-        users: users.map(u => ({ username: u.username, role: u.role }))
-      }
-    });
+    const [lastRun, lockExists] = await Promise.all([
+      trackedRedis.hgetall('jobs:search_reindex:status'),
+      trackedRedis.exists(SEARCH_REINDEX_LOCK_KEY)
+    ]);
+
+    const response = {
+      job: 'search_reindex',
+      engine: redisearchAvailable ? 'redisearch' : 'sorted-set',
+      running: searchReindexRunning || lockExists === 1,
+      last_run: lastRun && Object.keys(lastRun).length > 0 ? lastRun : null
+    };
+
+    res.json(response);
   } catch (err) {
-    console.error("[SEED] Error:", err);
-    res.status(500).json({ error: "Failed to seed database", details: err.message });
+    httpLog.error("Error fetching search reindex status", err);
+    res.status(500).json({ error: "Failed to fetch job status" });
   }
 });
 
 // ===== Error / crash logging =====
-process.on("uncaughtException", (err) => console.error("Uncaught:", err));
-process.on("unhandledRejection", (err) => console.error("Unhandled:", err));
+process.on("uncaughtException", (err) => appLog.error("Uncaught exception", err));
+process.on("unhandledRejection", (err) => appLog.error("Unhandled rejection", err));
 
 // ===== Start server =====
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => appLog.info("Server running", { port: PORT }));
+
+// ===== Start background jobs =====
+startRankingDecayWorker();
+migrateModelEngagementPoints().catch(err => jobsLog.error("Error migrating models:top:engagement", err));
+startStreamSubscriber();
+startCacheInvalidationSubscriber();
+initSearchEngine().catch(err => searchLog.error("Failed to initialize search engine", err));